@@ -3,6 +3,7 @@ module.exports = function (config) {
         frameworks: ['mocha', 'chai'],
         files: [
             'saaslet.js',
+            'test/mock/*.js',
             'test/test-js/*.js'
         ],
         reporters: ['progress'],
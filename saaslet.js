@@ -4,7 +4,8 @@
      * Event Emitter
      * 
      * Custom event emitter implementation. Supports a separate context parameter
-     * and ordering of listeners
+     * and ordering of listeners. Listeners for '*' are invoked for every event, with
+     * the event name as first argument
      * 
      * @class EventEmitter
      * @private
@@ -84,6 +85,10 @@
          * @returns {undefined}
          */
         emit( eventName ) {
+            if( eventName !== '*' && this.listener[ '*' ] ) {
+                this.emit.apply( this, [ '*' ].concat( Array.prototype.slice.call( arguments ) ) );
+            }
+
             if( !this.listener[ eventName ] ) {
                 return;
             }
@@ -117,14 +122,28 @@
     }
     /**
      * @class Widget
+     * @extends EventEmitter
      * @public
      * 
      * Represents a single Saaslet instance within a user's app, e.g. a login/signup form
      * or a payment details form.
      * 
-     * This instance offers methods to directly manipulate and interact with the widget
+     * This instance offers methods to directly manipulate and interact with the widget.
+     * Its state is 'loading' until the widget reports that it is ready, 'ready' afterwards 
+     * and 'error' if it failed to boot, in which case widget.error holds the WidgetError.
+     * 
+     * Every message the widget sends (e.g. 'submit', 'success', 'error', 'validationerror', 
+     * 'stepchange' or 'close') is emitted as an event with the message's data, and 
+     * re-emitted on the Saaslet instance prefixed with 'widget:' and the widget as second argument, 
+     * so that widgets can't trigger Saaslet's own events such as 'login' or 'sessionchange':
+     * 
+     * widget.on( 'success', data => {} );
+     * saaslet.on( 'widget:success', ( data, widget ) => {} );
+     * 
+     * The effective config and css are kept on the parent side and sent to the iframe
+     * again whenever it reloads.
      */
-    class Widget{
+    class Widget extends EventEmitter{
 
         /**
          * @constructor
@@ -135,6 +154,7 @@
          * @param {Saaslet} parent the instance of Saaslet that created this widget
          */
         constructor( id, name, parentElement, iFrameUrl, parent ) {
+            super();
             this.id = id;
             this.name = name;
             this.parentElement = parentElement;
@@ -143,9 +163,27 @@
             this.iFrame.style.display = 'block';
             this.iFrame.frameBorder = 0;
             this.iFrame.allowTransparency = true;
-            this.iFrame.src = iFrameUrl;
-            this.origin = this.iFrame.src.match( /^.+\:\/\/[^\/]+\// )[ 0 ] ;
+            this.url = iFrameUrl;
+            this.origin = new URL( iFrameUrl, document.baseURI ).origin;
             this.parentElement.appendChild( this.iFrame );
+            this.loaded = false;
+            this.loading = 'eager';
+            this._cancelDeferredLoad = null;
+            this._placeholder = null;
+            this.config = {};
+            this.initialConfig = {};
+            this.css = [];
+            this._cssCount = 0;
+            this._pendingCalls = {};
+            this._callCount = 0;
+            this.state = 'loading';
+            this.error = null;
+            this._readyPromise = getPromise();
+            this._loadTimeout = null;
+            this._bootTimeout = 0;
+            this.sizing = null;
+            this._resizeObserver = null;
+            this._containerWidth = null;
         }
 
         /**
@@ -154,458 +192,4224 @@
          * and merge it into the widget's configuration.
          * 
          * @param {Object} config
-         * @returns {undefined}
+         * @returns {Promise} resolves once the widget has applied the configuration
          */
         setConfig( config ) {
-            this._sendMessage( 'setConfig', config );
+            const previous = this.getConfig();
+
+            Object.assign( this.config, config );
+            this.emit( 'configchange', this.getConfig(), previous );
+
+            return this.call( 'setConfig', config );
         }
 
         /**
-         * Updates the widget's css at runtime. Please note, CSS files are always appended. So new
-         * rules overwrite previously configured rules, but other rules will be kept
+         * Returns the effective configuration, i.e. the initial configuration merged with
+         * all changes made via setConfig
          * 
-         * @param {String} css
-         * @returns {undefined}
+         * @returns {Object} a copy of the configuration
          */
-        setCss( css ) {
-            this._sendMessage( 'setCss', css );
+        getConfig() {
+            return clone( this.config );
         }
 
         /**
-         * Removes the widget from the DOM and cleans up internal references
+         * Reverts all changes made via setConfig since the widget was created
          * 
-         * @returns {undefined}
+         * @returns {Promise} resolves once the widget has applied the configuration
          */
-        destroy() {
-            this.iFrame.remove();
-            this.parent._removeWidget( this.id );
+        resetConfig() {
+            return this.replaceConfig( this.initialConfig );
         }
 
         /**
-         * Adjusts the size of the iFrame containing the widget to the provided width and height.
-         * 
-         * Please note: This does not affect the size of the widget itself. To change the widget's dimension
-         * please use CSS.
+         * Replaces the widget's configuration. Unlike setConfig, keys that are missing 
+         * from config are removed instead of kept.
          * 
-         * Please also note: Upon initialisation the widget within the iframe itself measures itself and calls to the 
-         * parent to apply its size (plus a bit of margin) to the iframe it resides within.
-         * 
-         * @param {Number} width 
-         * @param {Number} height 
-         * @returns {undefined}
+         * @param {Object} config the full configuration
+         * @returns {Promise} resolves once the widget has applied the configuration
          */
-        setSize( width, height ) {
-            this.iFrame.width = Math.max( this.parentElement.offsetWidth, width );
-            this.iFrame.height = height;
+        replaceConfig( config ) {
+            const previous = this.getConfig();
+
+            this.config = clone( config );
+            this.emit( 'configchange', this.getConfig(), previous );
+
+            return this.call( 'replaceConfig', this.config );
         }
 
         /**
-         * Safely sends a message to the child widget via postmessage
-         * 
-         * @private
+         * Registers a listener that is called whenever the configuration is changed via setConfig, resetConfig or replaceConfig
          * 
-         * @param {String} action 
-         * @param {Mixed} data 
+         * @param {Function} fn called with the new and the previous configuration
+         * @param {Object} [context]
          * 
-         * @returns {undefined}
+         * @returns {Function} call to remove the listener
          */
-        _sendMessage( action, data ) {
-            this.iFrame.contentWindow.postMessage({
-                source: 'saaslet-parent',
-                action: action,
-                data: data
-            }, this.origin );
+        onConfigChange( fn, context ) {
+            this.on( 'configchange', fn, context );
+            return () => this.off( 'configchange', fn, context );
         }
-    }
-
-    /**
-     * @class Saaslet
-     * 
-     * The main class exposed by this script. Acts as a factory for widgets 
-     * and as a client to the Saaslet HTTP API.
-     * 
-     * @class Saaslet
-     * @extends EventEmitter
-     */
-    class Saaslet extends EventEmitter{
 
         /**
-         * @constructor
-         * @param {String} appPublishableKey a public app key. You can find yours after creating an app on the Saaslet dashboard
-         * @param {String} apiUrl url for the endpoint that proxies to the saaslet API
-         * @public
+         * Updates the widget's css at runtime. Every call adds a stylesheet, later stylesheets
+         * overwrite rules of earlier ones. Pass an id to replace a stylesheet that was added with 
+         * the same id before, e.g. to switch between light and dark mode, or to remove it later on.
+         * 
+         * @param {String} css
+         * @param {Object} [options]
+         * @param {String} [options.id] name of the stylesheet, defaults to a generated id
+         * @returns {Promise} resolves once the widget has applied the css
          */
-        constructor( appPublishableKey, apiUrl ) {
-            super();
-            this.appPublishableKey = appPublishableKey;
-            this.activeWidgets = {};
-            this.widgetCount = 0;
-            this.baseUrl = 'https://saaslet.com/widgets/';
-            this.apiUrl = apiUrl || 'https://api.saaslet.com/';
-            this.user = new User( this.apiUrl, this.appPublishableKey, this );
-            window.addEventListener( 'message', this._onWidgetMessage.bind( this ) );
+        setCss( css, options ) {
+            const id = options && options.id || 'css_' + ( ++this._cssCount );
+            const stylesheet = this.css.find( entry => entry.id === id );
+
+            if( stylesheet ) {
+                stylesheet.css = css;
+            } else {
+                this.css.push({ id: id, css: css });
+            }
+
+            return this.call( 'setCss', { id: id, css: css } );
         }
-        
+
         /**
-         * Creates a new Saaslet (Widget) within a provided parent element.
+         * Removes a stylesheet that was added with setCss
          * 
-         * This method returns a promise that will resolve with a widget instance once the widget is fully loaded
+         * @param {String} id
+         * @returns {Promise} resolves once the widget has removed the css
+         */
+        removeCss( id ) {
+            const index = this.css.findIndex( entry => entry.id === id );
+
+            if( index === -1 ) {
+                return Promise.resolve();
+            }
+
+            this.css.splice( index, 1 );
+            return this.call( 'removeCss', { id: id } );
+        }
+
+        /**
+         * Sends an action to the widget and waits for its response. The widget answers 
+         * every action with a 'response' message carrying the same requestId and either
+         * data or an error. Actions sent while the widget is loading are delivered once it is ready, 
+         * calls to a widget that failed to load are rejected with the widget's error code.
          * 
-         * @param {String} widgetName the name of the saaslet to be created, e.g. 'signup-login'
-         * @param {String|Element} elementOrSelector A DOM selector string or a DOM element the widget will be mounted into
-         * @param {Object} [widgetConfig] an optional configuration object that overrides part of the default configuration for this widget
-         * @param {String} [widgetCss] an optional CSS String that will be injected into the widget
-         * @public
+         * @param {String} action
+         * @param {Mixed} [data]
+         * @param {Object} [options]
+         * @param {Number} [options.timeout] time in ms to wait for the response, defaults to the widgetTimeout option of Saaslet
          * 
-         * @returns {Promise} a promise that will resolve with the widget once its fully loaded
+         * @returns {Promise} resolves with the data of the response, rejects with a WidgetError
          */
-        createWidget( widgetName, elementOrSelector, widgetConfig, widgetCss ) {
+        call( action, data, options ) {
+            if( this.state === 'error' ) {
+                return Promise.reject( new WidgetError( 'Widget ' + this.id + ' failed to load: ' + this.error.message, {
+                    code: this.error.code,
+                    widgetId: this.id,
+                    action: action
+                }));
+            }
+
             const promise = getPromise();
-            const element = this._resolveElement( elementOrSelector );
-            const widgetId = 'wid_' + this.widgetCount;
-            const url = this.baseUrl + `?widgetId=${widgetId}&standalone=true&name=${widgetName}&appKey=${this.appPublishableKey}`;
-            const widget = new Widget( widgetId, widgetName, element, url, this );
+            const requestId = ++this._callCount;
+            const timeout = options && options.timeout !== undefined ? options.timeout : this.parent.widgetTimeout;
+            const pendingCall = {
+                action: action,
+                promise: promise,
+                timeout: null
+            };
 
-            this.widgetCount++;
-            this.activeWidgets[ widgetId ] = widget;
+            if( timeout > 0 ) {
+                pendingCall.timeout = setTimeout(() => {
+                    this._rejectCall( requestId, 'timeout', 'Widget ' + this.id + ' did not respond to ' + action + ' within ' + timeout + 'ms' );
+                }, timeout );
+            }
 
-            widget.iFrame.addEventListener( 'load', () => {
-                if( widgetConfig ) {
-                    widget.setConfig( widgetConfig );
-                }
-                
-                if( widgetCss ) {
-                    widget.setCss( widgetCss );
-                }
+            this._pendingCalls[ requestId ] = pendingCall;
 
-                promise.resolve( widget );
-            }, true );
+            if( this.state === 'loading' ) {
+                // the iframe can't receive messages before it is ready
+                this._readyPromise.then(() => this._sendMessage( action, data, requestId ), () => {} );
+            } else {
+                this._sendMessage( action, data, requestId );
+            }
 
             return promise;
         }
 
         /**
-         * Returns a dom element for a given input
+         * Starts loading the widget's iframe right away, e.g. if it was created with loading 'lazy'
+         * and is about to be scrolled into view
          * 
-         * @param {String|DomElement} elementOrSelector 
-         * @private
-         * 
-         * @returns {DomElement}
+         * @returns {undefined}
          */
-        _resolveElement( elementOrSelector ) {
-            if( typeof elementOrSelector === 'string' ) {
-                elementOrSelector = document.querySelector( elementOrSelector );
+        load() {
+            if( this.loaded ) {
+                return;
             }
 
-            if( !elementOrSelector ) {
-                throw new Error( 'Element ' + elementOrSelector + ' not found' );
+            if( this._cancelDeferredLoad ) {
+                this._cancelDeferredLoad();
+                this._cancelDeferredLoad = null;
             }
 
-            return elementOrSelector;
+            this.loaded = true;
+            this.iFrame.src = this.url;
+            this._startLoadTimeout();
         }
 
         /**
-         * Removes a previously registered widget from the internal registry. This will be internally
-         * called by the widget upon removal. The enduser is expected to remove a widget by calling .destroy()
-         * on the widget instance
-         * 
-         * @param {String} id
-         * @private
+         * Reloads the widget's iframe, e.g. after it crashed, and replays the config and css set so far
          * 
-         * @returns {undefined}
+         * @returns {Promise} resolves with the widget once it is ready again
          */
-        _removeWidget( id ) {
-            delete this.activeWidgets[ id ];
+        reload() {
+            this._abort( 'reloaded' );
+
+            // setting the same src again would only navigate to the url's fragment, 
+            // inserting the iframe again loads it from scratch
+            if( this.loaded ) {
+                this.parentElement.insertBefore( this.iFrame, this.iFrame.nextSibling );
+            }
+
+            return this._restart();
         }
 
         /**
-         * Callback for postMessage events emitted by the widgets
+         * Moves the widget into a different element. This reloads the iframe, 
+         * the config and css set so far are replayed
          * 
-         * @param {PostMessage} msg
-         * @private
+         * @param {String|Element} elementOrSelector A DOM selector string or a DOM element the widget will be moved into
          * 
-         * @returns {undefined} 
+         * @returns {Promise} resolves with the widget once it is ready again
          */
-        _onWidgetMessage( msg ) {
-            if( msg.data.source !== 'saaslet-widget' ) {
-                return;
+        moveTo( elementOrSelector ) {
+            var element;
+            try {
+                element = this.parent._resolveElement( elementOrSelector );
+            } catch( e ) {
+                return Promise.reject( e );
             }
-            
-            if( msg.data.action === 'resize' ) {
-                this.activeWidgets[ msg.data.widgetId ].setSize( msg.data.data.width, msg.data.data.height );
+
+            this._abort( 'reloaded' );
+            this.parentElement = element;
+
+            if( this._placeholder ) {
+                this.parentElement.appendChild( this._placeholder );
+            }
+
+            this.parentElement.appendChild( this.iFrame );
+            this._setSizing( this.sizing );
+
+            if( !this.loaded ) {
+                this._deferLoad( this.loading );
             }
+
+            return this._restart();
         }
 
         /**
-         * Sends data via postMessage to a widget with the given id
-         * 
-         * @param {String} widgetId 
-         * @param {String} action 
-         * @param {Mixed} data 
-         * @private
+         * Removes the widget from the DOM and cleans up internal references
          * 
-         * @returns {undefined} 
+         * @returns {undefined}
          */
-        _sendMessageToWidget( widgetId, action, data ) {
-            this.activeWidgets[ widgetId ].contentWindow.postMessage({
-                source: 'saaslet-parent',
-                action: action,
-                data: data
-            }, this.baseUrl);
-        }
-    }
+        destroy() {
+            this._abort( 'destroyed' );
+            this._unobserve();
 
-    /**
-     * Namespace for user related API interactions. Accessible via saaslet.user
-     * 
-     * @class User
-     * @public
-     */
-    class User{
+            if( this._cancelDeferredLoad ) {
+                this._cancelDeferredLoad();
+            }
+
+            this._removePlaceholder();
+            this.iFrame.remove();
+            this.parent._removeWidget( this.id );
+        }
 
         /**
-         * @param {String} apiUrl 
-         * @param {String} appPublishableKey 
-         * @param {Saaslet} parent
-         * @constructor
-         * @private
+         * Gives the iFrame containing the widget a fixed width and height, same as creating
+         * the widget with sizing 'fixed'.
+         * 
+         * Please note: This does not affect the size of the widget itself. To change the widget's dimension
+         * please use CSS.
+         * 
+         * Please also note: With the default sizing 'fluid' the widget within the iframe measures itself and calls to the 
+         * parent to apply its height (plus a bit of margin) to the iframe it resides within.
+         * 
+         * @param {Number|String} width a number of pixels or a css length
+         * @param {Number|String} height a number of pixels or a css length
+         * @returns {undefined}
          */
-        constructor( apiUrl, appPublishableKey, parent ) {
-            this.apiUrl = apiUrl;
-            this.appPublishableKey = appPublishableKey;
-            this.parent = parent;
+        setSize( width, height ) {
+            this._setSizing({ sizing: 'fixed', width: width, height: height });
         }
 
         /**
-         * Creates a new user account for the given email
+         * Applies a sizing mode to the iframe, see Saaslet.createWidget
          * 
-         * @param {String} email 
-         * @param {String} password 
+         * @param {Object} [options]
+         * @param {String} [options.sizing] 'fluid' or 'fixed', defaults to 'fluid'
+         * @param {Number|String} [options.width] width for sizing 'fixed'
+         * @param {Number|String} [options.height] height for sizing 'fixed'
+         * @param {Number} [options.maxHeight] maximum height in px for sizing 'fluid'
+         * @private
          * 
-         * @returns {Promise} userId
+         * @returns {undefined}
          */
-        signup( email, password ) {
-            const data = { 
-                email: email,
-                password: password,
-                appPublishableKey: this.appPublishableKey
+        _setSizing( options ) {
+            options = options || {};
+
+            this.sizing = {
+                sizing: options.sizing || 'fluid',
+                width: options.width,
+                height: options.height,
+                maxHeight: options.maxHeight
+            };
+
+            this._unobserve();
+
+            if( this.sizing.sizing === 'fixed' ) {
+                this.iFrame.style.width = toCssLength( this.sizing.width );
+                this.iFrame.style.height = toCssLength( this.sizing.height );
+            } else {
+                this.iFrame.style.width = '100%';
+                this.iFrame.style.height = '';
+
+                if( typeof ResizeObserver !== 'undefined' ) {
+                    this._resizeObserver = new ResizeObserver( this._onContainerResize.bind( this ) );
+                    this._resizeObserver.observe( this.parentElement );
+                }
             }
 
-            return post( this.apiUrl + 'users/signup', data, d => {
-                this.parent.emit( 'signup' );
-                return d.data.userId;
-            });
+            this._sendViewport();
         }
 
         /**
-         * Creates a session for a given user
+         * Stops tracking the size of the parent element
          * 
-         * @param {String} email 
-         * @param {String} password 
+         * @private
          * 
-         * @returns {Promise} status
+         * @returns {undefined}
          */
-        login( email, password ) {
-            const data = { 
-                email: email,
-                password: password,
-                appPublishableKey: this.appPublishableKey
+        _unobserve() {
+            if( this._resizeObserver ) {
+                this._resizeObserver.disconnect();
+                this._resizeObserver = null;
             }
 
-            return post( this.apiUrl + 'users/login', data, d => {
-                this.parent.emit( 'login' );
-                return d;
-            });
+            this._containerWidth = null;
         }
 
         /**
-         * Terminates a session for a given user
+         * ResizeObserver callback. Lets the widget reflow if the width of its parent element changed
          * 
-         * @returns {Promise} status
+         * @param {Array} entries
+         * @private
+         * 
+         * @returns {undefined}
          */
-        logout() {
-            return post( this.apiUrl + 'users/logout', {}, d => {
-                this.parent.emit( 'logout' );
-                return d;
-            });
+        _onContainerResize( entries ) {
+            const width = entries[ entries.length - 1 ].contentRect.width;
+
+            if( width !== this._containerWidth ) {
+                this._containerWidth = width;
+                this._sendViewport();
+            }
         }
 
         /**
-         * Sets a user specific setting or property
+         * Tells the widget how much space it has, so it can reflow and report its new height. 
+         * maxHeight is null if the iframe grows with the widget, otherwise the widget is expected to 
+         * scroll internally if its content is higher
          * 
-         * @param {String} key 
-         * @param {Mixed} value a serializable value
+         * @private
          * 
-         * @returns {Promise} status
+         * @returns {undefined}
          */
-        set( key, value ) {
-            return post( this.apiUrl + 'users/data', { data: { [ key ]: value } } );
+        _sendViewport() {
+            if( this.state !== 'ready' ) {
+                return;
+            }
+
+            this._sendMessage( 'viewport', {
+                sizing: this.sizing.sizing,
+                width: this.iFrame.offsetWidth,
+                maxHeight: this.sizing.sizing === 'fixed' ? this.iFrame.offsetHeight : ( this.sizing.maxHeight || null )
+            });
         }
 
         /**
-         * Returns a previously set user setting or property
+         * Applies the size the widget reported for its content
          * 
-         * @param {String} key 
+         * @param {Object} size { width, height }
+         * @private
          * 
-         * @returns {Promise} value
+         * @returns {undefined}
          */
-        get( key ) {
-            return get( this.apiUrl + 'users/data', d => {
-                return d.data.user.data[ key ];
-            })
+        _onResize( size ) {
+            if( this.sizing.sizing === 'fixed' ) {
+                return;
+            }
+
+            this.iFrame.style.height = ( this.sizing.maxHeight ? Math.min( size.height, this.sizing.maxHeight ) : size.height ) + 'px';
         }
 
         /**
-         * Returns a key-value map of all current usersettings
+         * Safely sends a message to the child widget via postmessage
          * 
-         * @returns {Promise} UserSettings
+         * @private
+         * 
+         * @param {String} action 
+         * @param {Mixed} data 
+         * @param {Number} [requestId] id the widget refers to in its response
+         * 
+         * @returns {undefined}
          */
-        getAll() {
-            return get( this.apiUrl + 'users/data', d => {
-                return d.data.user.data;
-            })
+        _sendMessage( action, data, requestId ) {
+            this.iFrame.contentWindow.postMessage({
+                source: 'saaslet-parent',
+                action: action,
+                data: data,
+                requestId: requestId
+            }, this.origin );
         }
 
         /**
-         * A simple way to check whether there's currently an active session. Returns
-         * a promuse that resolves to either true or false without throwing an error.
+         * Waits for the widget to report that it is ready
          * 
-         * @returns {Promise} isLoggedIn
+         * @param {Number} timeout time in ms after which loading fails, 0 to wait forever
+         * @private
+         * 
+         * @returns {Promise} resolves once the widget is ready, rejects with a WidgetError
          */
-        isLoggedIn() {
-            return new Promise(( resolve, reject ) => {
-                get( this.apiUrl + 'users/data').then(() => {
-                    resolve( true );
-                })
-                .catch( e => {
-                    resolve( false );
-                });
-            }); 
+        _boot( timeout ) {
+            this._bootTimeout = timeout;
+
+            if( this.loaded ) {
+                this._startLoadTimeout();
+            }
+
+            return this._readyPromise;
         }
 
         /**
-         * Returns information about the currently logged in user
+         * Fails the boot if the widget doesn't become ready in time. Starts once the iframe is loading,
+         * so deferred widgets don't time out before they are loaded
          * 
-         * @returns {Promise} userInfo
-         */
-        getInfo() {
-            return get( this.apiUrl + 'users/data', d => {
-                return {
-                    id: d.data.user.id,
-                    email: d.data.user.email.address,
-                    subscriptions: d.data.user.subscriptions || []
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _startLoadTimeout() {
+            const timeout = this._bootTimeout;
+
+            clearTimeout( this._loadTimeout );
+
+            if( timeout > 0 && this.state === 'loading' ) {
+                this._loadTimeout = setTimeout(() => {
+                    this._fail( new WidgetError( 'Widget ' + this.name + ' did not become ready within ' + timeout + 'ms, is ' + this.origin + ' reachable?', {
+                        code: 'load timeout',
+                        widgetId: this.id
+                    }));
+                }, timeout );
+            }
+        }
+
+        /**
+         * Loads the iframe now or once the browser is idle or the widget's element is about to become visible
+         * 
+         * @param {String} [loading] 'eager', 'lazy' or 'idle', defaults to 'eager'
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _deferLoad( loading ) {
+            this.loading = loading || 'eager';
+
+            if( this._cancelDeferredLoad ) {
+                this._cancelDeferredLoad();
+                this._cancelDeferredLoad = null;
+            }
+
+            if( this.loading === 'lazy' && typeof IntersectionObserver !== 'undefined' ) {
+                const observer = new IntersectionObserver( entries => {
+                    if( entries.some( entry => entry.isIntersecting ) ) {
+                        this.load();
+                    }
+                }, { rootMargin: '200px' });
+
+                observer.observe( this.parentElement );
+                this._cancelDeferredLoad = () => observer.disconnect();
+            } else if( this.loading === 'idle' && typeof requestIdleCallback !== 'undefined' ) {
+                const handle = requestIdleCallback(() => this.load(), { timeout: 2000 });
+                this._cancelDeferredLoad = () => cancelIdleCallback( handle );
+            } else if( this.loading === 'idle' ) {
+                const handle = setTimeout(() => this.load(), 1 );
+                this._cancelDeferredLoad = () => clearTimeout( handle );
+            } else {
+                this.load();
+            }
+        }
+
+        /**
+         * Shows placeholder content in place of the iframe until the widget is ready
+         * 
+         * @param {String|Element|Boolean} placeholder html, an element or true for a plain skeleton
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _showPlaceholder( placeholder ) {
+            this._placeholder = document.createElement( 'div' );
+            this._placeholder.className = 'saaslet-placeholder';
+            this._placeholder.setAttribute( 'aria-busy', 'true' );
+
+            if( placeholder === true ) {
+                Object.assign( this._placeholder.style, {
+                    height: '150px',
+                    borderRadius: '4px',
+                    background: '#f2f2f2'
+                });
+            } else if( typeof placeholder === 'string' ) {
+                this._placeholder.innerHTML = placeholder;
+            } else {
+                this._placeholder.appendChild( placeholder );
+            }
+
+            this.parentElement.insertBefore( this._placeholder, this.iFrame );
+            this.iFrame.style.display = 'none';
+        }
+
+        /**
+         * Replaces the placeholder with the iframe
+         * 
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _removePlaceholder() {
+            if( !this._placeholder ) {
+                return;
+            }
+
+            this._placeholder.remove();
+            this._placeholder = null;
+            this.iFrame.style.display = 'block';
+        }
+
+        /**
+         * Boots the widget again after its iframe was reloaded and replays config and css
+         * 
+         * @private
+         * 
+         * @returns {Promise} resolves with the widget once it is ready
+         */
+        _restart() {
+            this.state = 'loading';
+            this.error = null;
+            this._readyPromise = getPromise();
+
+            return this._boot( this._bootTimeout ).then(() => this._replay() ).then(() => this );
+        }
+
+        /**
+         * Sends the config and css kept on the parent side to a freshly loaded iframe
+         * 
+         * @private
+         * 
+         * @returns {Promise} resolves once the widget applied config and css
+         */
+        _replay() {
+            const calls = [];
+
+            if( Object.keys( this.config ).length ) {
+                calls.push( this.call( 'replaceConfig', this.config ) );
+            }
+
+            this.css.forEach( stylesheet => {
+                calls.push( this.call( 'setCss', stylesheet ) );
+            });
+
+            return Promise.all( calls );
+        }
+
+        /**
+         * Rejects a pending boot and all pending calls, e.g. because the widget is reloaded or destroyed. 
+         * Unlike _fail this doesn't emit 'error', the widget itself didn't fail
+         * 
+         * @param {String} code 'reloaded' or 'destroyed'
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _abort( code ) {
+            clearTimeout( this._loadTimeout );
+
+            if( this.state === 'loading' ) {
+                this._rejectBoot( new WidgetError( 'Widget ' + this.id + ' was ' + code + ' before it was ready', { code: code, widgetId: this.id } ) );
+            }
+
+            for( var requestId in this._pendingCalls ) {
+                this._rejectCall( requestId, code, 'Widget ' + this.id + ' was ' + code );
+            }
+        }
+
+        /**
+         * Called once the widget reported that it is ready. Config and css are replayed if the 
+         * widget was ready before, i.e. its iframe reloaded without a call to reload
+         * 
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onReady() {
+            const reloaded = this.state !== 'loading';
+
+            clearTimeout( this._loadTimeout );
+            this.state = 'ready';
+            this.error = null;
+            this._readyPromise.resolve( this );
+            this._removePlaceholder();
+            this._sendViewport();
+
+            // the iframe reloaded by itself, e.g. after navigating or crashing
+            if( reloaded ) {
+                this._replay().catch( e => debug( 'Failed to restore widget ' + this.id + ': ' + e.message, e ) );
+            }
+        }
+
+        /**
+         * Called if the widget reported an error before it was ready, e.g. because of an invalid app key
+         * 
+         * @param {Object} [data] error details sent by the widget, { code, message }
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onBootError( data ) {
+            data = data || {};
+
+            this._fail( new WidgetError( data.message || 'Widget ' + this.name + ' failed to boot', {
+                code: data.code || 'boot failed',
+                widgetId: this.id
+            }));
+        }
+
+        /**
+         * Fails a pending boot, removes the placeholder and emits the error
+         * 
+         * @param {WidgetError} error
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _fail( error ) {
+            if( this.state !== 'loading' ) {
+                return;
+            }
+
+            this._rejectBoot( error );
+            this._removePlaceholder();
+            this._onEvent( 'error', error );
+        }
+
+        /**
+         * Puts the widget into error state and rejects the pending boot and all pending calls
+         * 
+         * @param {WidgetError} error
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _rejectBoot( error ) {
+            clearTimeout( this._loadTimeout );
+            this.state = 'error';
+            this.error = error;
+            this._readyPromise.reject( error );
+
+            for( var requestId in this._pendingCalls ) {
+                this._rejectCall( requestId, error.code, error.message );
+            }
+        }
+
+        /**
+         * Emits a message sent by the widget on the widget and, prefixed with 'widget:', on its Saaslet
+         * 
+         * @param {String} action
+         * @param {Mixed} data
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onEvent( action, data ) {
+            this.emit( action, data );
+            this.parent.emit( 'widget:' + action, data, this );
+        }
+
+        /**
+         * Settles a pending call with the response sent by the widget
+         * 
+         * @param {Object} response the message data, containing requestId and either data or error
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onResponse( response ) {
+            const pendingCall = this._pendingCalls[ response.requestId ];
+
+            if( !pendingCall ) {
+                return;
+            }
+
+            if( response.error ) {
+                const error = response.error;
+                this._rejectCall( response.requestId, error.code || null, error.message || error );
+                return;
+            }
+
+            clearTimeout( pendingCall.timeout );
+            delete this._pendingCalls[ response.requestId ];
+            pendingCall.promise.resolve( response.data );
+        }
+
+        /**
+         * Rejects a pending call with a WidgetError
+         * 
+         * @param {Number} requestId
+         * @param {String} code
+         * @param {String} message
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _rejectCall( requestId, code, message ) {
+            const pendingCall = this._pendingCalls[ requestId ];
+
+            clearTimeout( pendingCall.timeout );
+            delete this._pendingCalls[ requestId ];
+            pendingCall.promise.reject( new WidgetError( message, {
+                code: code,
+                widgetId: this.id,
+                action: pendingCall.action
+            }));
+        }
+    }
+
+    /**
+     * Modals that are currently open, the last one is on top
+     */
+    const modalStack = [];
+
+    /**
+     * Saaslet instances that have not been destroyed, in order of creation. Only used to route
+     * widget messages, so headless instances are not included
+     */
+    const instances = [];
+
+    /**
+     * Number of Saaslet instances created so far, part of their ids
+     */
+    var instanceCount = 0;
+
+    /**
+     * Single window message listener for all Saaslet instances. Hands messages from widgets
+     * to the instance that created the widget
+     * 
+     * @param {MessageEvent} msg
+     * 
+     * @returns {undefined}
+     */
+    function routeWidgetMessage( msg ) {
+        if( !msg.data || msg.data.source !== 'saaslet-widget' ) {
+            return;
+        }
+
+        const owner = instances.find( instance => instance.getWidget( msg.data.widgetId ) );
+
+        if( !owner ) {
+            debug( 'Dropped message for unknown widget ' + msg.data.widgetId, msg );
+            return;
+        }
+
+        owner._onWidgetMessage( msg );
+    }
+
+    /**
+     * Returns all Saaslet instances on the page that have not been destroyed, except headless ones. 
+     * Accessible via Saaslet.getInstances
+     * 
+     * @returns {Array} instances, in order of creation
+     */
+    function getInstances() {
+        return instances.slice();
+    }
+
+    /**
+     * @class Modal
+     * @extends EventEmitter
+     * @private
+     * 
+     * An accessible overlay that widgets opened via Saaslet.openWidget are mounted into. Keeps the focus
+     * within the dialog, locks the page's scrolling and emits 'dismiss' if the user presses Escape or 
+     * clicks the backdrop.
+     */
+    class Modal extends EventEmitter{
+
+        /**
+         * @constructor
+         * @param {Object} options
+         * @param {String} [options.label] accessible name of the dialog
+         * @param {String} [options.animation] 'fade', 'slide' or 'none', defaults to 'fade'
+         * @param {Number} [options.animationDuration] in ms, defaults to 200
+         * @param {String} [options.width] maximum width of the dialog as css length, defaults to 480px
+         */
+        constructor( options ) {
+            super();
+            this.animation = options.animation || 'fade';
+            this.duration = this.animation === 'none' || prefersReducedMotion() ? 0 : ( options.animationDuration === undefined ? 200 : options.animationDuration );
+            this._previousFocus = null;
+            this._previousOverflow = '';
+
+            this.backdrop = document.createElement( 'div' );
+            this.backdrop.className = 'saaslet-modal-backdrop';
+            Object.assign( this.backdrop.style, {
+                position: 'fixed',
+                top: '0',
+                right: '0',
+                bottom: '0',
+                left: '0',
+                zIndex: '2147483000',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                overflow: 'auto',
+                background: 'rgba(0, 0, 0, 0.5)',
+                opacity: '0',
+                transition: 'opacity ' + this.duration + 'ms ease'
+            });
+
+            this.content = document.createElement( 'div' );
+            this.content.className = 'saaslet-modal';
+            this.content.tabIndex = -1;
+            this.content.setAttribute( 'role', 'dialog' );
+            this.content.setAttribute( 'aria-modal', 'true' );
+            this.content.setAttribute( 'aria-label', options.label || '' );
+            Object.assign( this.content.style, {
+                width: '100%',
+                maxWidth: options.width || '480px',
+                margin: 'auto',
+                outline: 'none',
+                transform: this._getTransform( false ),
+                transition: 'transform ' + this.duration + 'ms ease'
+            });
+
+            this.backdrop.appendChild( this.content );
+
+            this._onKeyDown = this._onKeyDown.bind( this );
+            this._onFocusIn = this._onFocusIn.bind( this );
+            this._onClick = this._onClick.bind( this );
+        }
+
+        /**
+         * Adds the modal to the page
+         * 
+         * @returns {undefined}
+         */
+        open() {
+            this._previousFocus = document.activeElement;
+            this._previousOverflow = document.body.style.overflow;
+            modalStack.push( this );
+
+            document.body.appendChild( this.backdrop );
+            document.body.style.overflow = 'hidden';
+            document.addEventListener( 'keydown', this._onKeyDown, true );
+            document.addEventListener( 'focusin', this._onFocusIn, true );
+            this.backdrop.addEventListener( 'click', this._onClick );
+            this.content.focus();
+
+            // forces a reflow, so the transition starts from the initial styles
+            void this.backdrop.offsetWidth;
+            this.backdrop.style.opacity = '1';
+            this.content.style.transform = this._getTransform( true );
+        }
+
+        /**
+         * Removes the modal from the page once the closing animation finished
+         * 
+         * @returns {Promise} resolves once the modal is removed
+         */
+        close() {
+            modalStack.splice( modalStack.indexOf( this ), 1 );
+
+            document.removeEventListener( 'keydown', this._onKeyDown, true );
+            document.removeEventListener( 'focusin', this._onFocusIn, true );
+            this.backdrop.removeEventListener( 'click', this._onClick );
+            document.body.style.overflow = this._previousOverflow;
+
+            if( this._previousFocus && this._previousFocus.focus ) {
+                this._previousFocus.focus();
+            }
+
+            this.backdrop.style.opacity = '0';
+            this.content.style.transform = this._getTransform( false );
+
+            return wait( this.duration ).then(() => {
+                this.backdrop.remove();
+            });
+        }
+
+        /**
+         * Moves the focus into the dialog, preferably into the widget's iframe
+         * 
+         * @returns {undefined}
+         */
+        focus() {
+            ( this.content.querySelector( 'iframe' ) || this.content ).focus();
+        }
+
+        /**
+         * @param {Boolean} visible
+         * @private
+         * 
+         * @returns {String} css transform of the dialog for the animation
+         */
+        _getTransform( visible ) {
+            return this.animation === 'slide' && !visible ? 'translateY(40px)' : 'none';
+        }
+
+        /**
+         * @private
+         * 
+         * @returns {Boolean} true if keyboard and focus events should be handled by this modal
+         */
+        _isTopmost() {
+            return modalStack[ modalStack.length - 1 ] === this;
+        }
+
+        /**
+         * Dismisses the modal on Escape
+         * 
+         * @param {KeyboardEvent} event
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onKeyDown( event ) {
+            if( event.key === 'Escape' && this._isTopmost() ) {
+                event.stopPropagation();
+                this.emit( 'dismiss' );
+            }
+        }
+
+        /**
+         * Traps the focus within the dialog
+         * 
+         * @param {FocusEvent} event
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onFocusIn( event ) {
+            if( this._isTopmost() && !this.content.contains( event.target ) ) {
+                this.focus();
+            }
+        }
+
+        /**
+         * Dismisses the modal on clicks on the backdrop
+         * 
+         * @param {MouseEvent} event
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onClick( event ) {
+            if( event.target === this.backdrop ) {
+                this.emit( 'dismiss' );
+            }
+        }
+    }
+
+    /**
+     * @class Saaslet
+     * 
+     * The main class exposed by this script. Acts as a factory for widgets 
+     * and as a client to the Saaslet HTTP API.
+     * 
+     * @class Saaslet
+     * @extends EventEmitter
+     */
+    class Saaslet extends EventEmitter{
+
+        /**
+         * @constructor
+         * @param {String} appPublishableKey a public app key. You can find yours after creating an app on the Saaslet dashboard
+         * @param {String} [apiUrl] url for the endpoint that proxies to the saaslet API
+         * @param {Object} [options] optional settings, can also be passed as the second argument
+         * @param {String} [options.apiUrl] alternative to the apiUrl argument
+         * @param {String|Function} [options.transport] 'fetch', 'xhr', 'http' or a custom transport function, see Saaslet.transports
+         * @param {Number} [options.timeout] default timeout in ms for API requests, see RequestOptions
+         * @param {Number} [options.retries] default number of retries for idempotent API requests, see RequestOptions
+         * @param {Number} [options.retryDelay] default initial retry delay in ms, see RequestOptions
+         * @param {Number} [options.maxRetryDelay] default maximum retry delay in ms, see RequestOptions
+         * @param {Boolean} [options.syncSession] set to false to not sync logins and logouts across tabs
+         * @param {Number} [options.cacheTtl] time in ms the user data is cached for, defaults to 30000
+         * @param {Number} [options.batchDelay] time in ms user data writes are collected for before they are sent, defaults to 0
+         * @param {Object} [options.userSchemas] map of user data keys to schemas, see User.defineSchema
+         * @param {Number} [options.widgetTimeout] time in ms to wait for a widget to respond to a call, defaults to 10000
+         * @param {Number} [options.loadTimeout] time in ms a widget has to become ready after it was created, defaults to 15000
+         * @param {Boolean} [options.autoMount] mount widgets for elements with a data-saaslet attribute, see autoMount
+         * @param {String} [options.auth] 'cookie' (default) to authenticate via the API's session cookie, 'token' to send 
+         * an access token obtained on login or signup as Authorization header instead, e.g. if third-party cookies are blocked
+         * @param {String|Object} [options.tokenStore] where tokens are kept in token mode: 'localStorage' (default), 'memory' 
+         * or an object with get(), set( tokens ) and clear() methods, which may return promises
+         * @param {Boolean} [options.headless] only use the API, e.g. under Node.js for server-side rendering. Widgets, 
+         * auto-mounting and session sync across tabs are disabled and the instance isn't listed by getInstances. 
+         * Defaults to true if there is no window
+         * @param {String} [options.cookie] a Cookie header sent with every API request, e.g. the one of the incoming request 
+         * during server-side rendering. Cookies set by API responses are added to it, see getSetCookieHeaders
+         * @public
+         */
+        constructor( appPublishableKey, apiUrl, options ) {
+            super();
+
+            if( apiUrl && typeof apiUrl === 'object' ) {
+                options = apiUrl;
+                apiUrl = options.apiUrl;
+            }
+
+            this.options = options || {};
+            this.appPublishableKey = appPublishableKey;
+            this.id = 'sl' + ( ++instanceCount ) + '_' + Math.random().toString( 36 ).slice( 2, 8 );
+            this.headless = this.options.headless === undefined ? typeof window === 'undefined' : !!this.options.headless;
+            this.activeWidgets = {};
+            this.widgetCount = 0;
+            this.theme = null;
+            this.baseUrl = 'https://saaslet.com/widgets/';
+            this.widgetTimeout = this.options.widgetTimeout === undefined ? 10000 : this.options.widgetTimeout;
+            this.loadTimeout = this.options.loadTimeout === undefined ? 15000 : this.options.loadTimeout;
+            this.apiUrl = apiUrl || 'https://api.saaslet.com/';
+            this.api = new ApiClient( this.options );
+            this.interceptors = this.api.interceptors;
+
+            if( this.options.auth === 'token' ) {
+                this.api.useTokens( createTokenStore( this.options.tokenStore, 'saaslet-tokens:' + this.appPublishableKey ), this.apiUrl + 'users/token/refresh' );
+            }
+            this.user = new User( this.apiUrl, this.appPublishableKey, this );
+            this.session = new Session( this );
+            this.billing = new Billing( this.apiUrl, this.appPublishableKey, this );
+            this._mountedElements = new Map();
+            this._mutationObserver = null;
+            this._onDomReady = null;
+            this._modals = new Set();
+            this._preloaded = new Set();
+
+            // headless instances are not registered, e.g. a server creating one per request would keep them all
+            if( this.headless ) {
+                return;
+            }
+
+            instances.push( this );
+
+            if( instances.length === 1 ) {
+                window.addEventListener( 'message', routeWidgetMessage );
+            }
+
+            if( this.options.autoMount ) {
+                if( document.readyState === 'loading' ) {
+                    this._onDomReady = () => this.autoMount();
+                    document.addEventListener( 'DOMContentLoaded', this._onDomReady );
+                } else {
+                    this.autoMount();
+                }
+            }
+        }
+        
+        /**
+         * Creates a new Saaslet (Widget) within a provided parent element.
+         * 
+         * This method returns a promise that will resolve with a widget instance once the widget has 
+         * reported that it is ready and applied the initial config and css. It rejects with a WidgetError
+         * if the element can't be found, the widget reports an error while booting (e.g. code 
+         * 'invalid app key') or doesn't become ready within the load timeout (code 'load timeout').
+         * 
+         * @param {String} widgetName the name of the saaslet to be created, e.g. 'signup-login'
+         * @param {String|Element} elementOrSelector A DOM selector string or a DOM element the widget will be mounted into
+         * @param {Object} [widgetConfig] an optional configuration object that overrides part of the default configuration for this widget
+         * @param {String} [widgetCss] an optional CSS String that will be injected into the widget
+         * @param {Object} [options] optional settings for this widget
+         * @param {Number} [options.loadTimeout] time in ms the widget has to become ready, defaults to the loadTimeout option of Saaslet
+         * @param {String} [options.sizing] 'fluid' (default) to span the width of the element and grow with the widget's content, 
+         * 'fixed' to use options.width and options.height
+         * @param {Number|String} [options.width] width for sizing 'fixed', a number of pixels or a css length
+         * @param {Number|String} [options.height] height for sizing 'fixed', a number of pixels or a css length
+         * @param {Number} [options.maxHeight] maximum height in px for sizing 'fluid', the widget scrolls internally beyond it
+         * @param {String} [options.loading] 'eager' (default) to load the widget right away, 'lazy' to load it once the element 
+         * is about to be scrolled into view or 'idle' to load it once the browser is idle
+         * @param {String|Element|Boolean} [options.placeholder] html or an element shown until the widget is ready or failed to load, true for a plain skeleton
+         * @public
+         * 
+         * @returns {Promise} a promise that will resolve with the widget once its fully loaded
+         */
+        createWidget( widgetName, elementOrSelector, widgetConfig, widgetCss, options ) {
+            var element;
+            try {
+                this._assertDom();
+                element = this._resolveElement( elementOrSelector );
+            } catch( e ) {
+                return Promise.reject( e );
+            }
+
+            return this._mountWidget( widgetName, element, widgetConfig, widgetCss, options ).promise;
+        }
+
+        /**
+         * Applies a theme to all active and future widgets. The design tokens are turned into CSS custom properties
+         * named after their path, e.g.
+         * 
+         * saaslet.setTheme({ colors: { primary: '#0057ff', textMuted: '#777' }, radii: { md: '4px' } });
+         * 
+         * results in --saaslet-colors-primary, --saaslet-colors-text-muted and --saaslet-radii-md. Calling setTheme 
+         * again replaces the previous theme, e.g. to switch between light and dark mode, passing null removes it.
+         * The theme is applied before the css of each widget, so widget css can still override it.
+         * 
+         * @param {Object|null} tokens design tokens, e.g. colors, fonts, radii and spacing
+         * @public
+         * 
+         * @returns {Promise} resolves once all active widgets applied the theme
+         */
+        setTheme( tokens ) {
+            this.theme = tokens ? clone( tokens ) : null;
+
+            return Promise.all( Object.keys( this.activeWidgets ).map( widgetId => {
+                return this._applyTheme( this.activeWidgets[ widgetId ] );
+            }));
+        }
+
+        /**
+         * Warms up a widget that will be created later, e.g. the payment widget on a pricing page. Opens 
+         * the connection to the widget host and prefetches the widget's page.
+         * 
+         * @param {String} widgetName the name of the saaslet, e.g. 'payment'
+         * @public
+         * 
+         * @returns {undefined}
+         */
+        preload( widgetName ) {
+            const url = this._getWidgetUrl( widgetName );
+
+            if( this.headless || this._preloaded.has( url ) ) {
+                return;
+            }
+
+            this._preloaded.add( url );
+
+            [ [ 'preconnect', new URL( url, document.baseURI ).origin ], [ 'prefetch', url ] ].forEach( hint => {
+                const link = document.createElement( 'link' );
+                link.rel = hint[ 0 ];
+                link.href = hint[ 1 ];
+                document.head.appendChild( link );
+            });
+        }
+
+        /**
+         * Opens a widget in a modal dialog, e.g. a login form behind a "Sign in" button.
+         * 
+         * The dialog keeps the focus, locks the page's scrolling and is dismissed if the user presses Escape, 
+         * clicks the backdrop or the widget sends 'close', which it does for Escape once it has the focus. It closes with the data of the widget's 
+         * 'success' event, e.g. after a login or payment.
+         * 
+         * saaslet.openWidget( 'signup-login', { loginButtonText: 'log in now' } ).then( data => {} );
+         * 
+         * @param {String} widgetName the name of the saaslet to be opened, e.g. 'signup-login'
+         * @param {Object} [widgetConfig] an optional configuration object, see createWidget
+         * @param {Object} [options] optional settings, accepts the options of createWidget as well
+         * @param {String} [options.css] an optional CSS String that will be injected into the widget
+         * @param {String} [options.label] accessible name of the dialog, defaults to the widget name
+         * @param {String} [options.animation] 'fade', 'slide' or 'none', defaults to 'fade'
+         * @param {Number} [options.animationDuration] in ms, defaults to 200. Users who prefer reduced motion get no animation
+         * @param {String} [options.width] maximum width of the dialog as css length, defaults to 480px
+         * @public
+         * 
+         * @returns {Promise} resolves with the data of the widget's success event, rejects with a WidgetError with code 
+         * 'dismissed' if the user closes the dialog or with the error that prevented the widget from loading
+         */
+        openWidget( widgetName, widgetConfig, options ) {
+            try {
+                this._assertDom();
+            } catch( e ) {
+                return Promise.reject( e );
+            }
+
+            options = Object.assign({
+                label: widgetName,
+                maxHeight: Math.floor( window.innerHeight * 0.9 )
+            }, options );
+
+            const promise = getPromise();
+            const modal = new Modal( options );
+            const mounted = this._mountWidget( widgetName, modal.content, widgetConfig, options.css, options );
+            const widget = mounted.widget;
+            const close = ( error, data ) => {
+                if( !this._modals.has( close ) ) {
+                    return;
+                }
+
+                this._modals.delete( close );
+                modal.close().then(() => widget.destroy() );
+
+                if( error ) {
+                    promise.reject( error );
+                } else {
+                    promise.resolve( data );
+                }
+            };
+            const dismiss = () => {
+                close( new WidgetError( 'Widget ' + widget.id + ' was dismissed', { code: 'dismissed', widgetId: widget.id } ) );
+            };
+
+            this._modals.add( close );
+            modal.on( 'dismiss', dismiss );
+            widget.on( 'close', dismiss );
+            widget.on( 'success', data => close( null, data ) );
+            modal.open();
+
+            mounted.promise.then(() => modal.focus(), close );
+
+            return promise;
+        }
+
+        /**
+         * Mounts widgets for all elements with a data-saaslet attribute within root and keeps doing so 
+         * for elements that are added later. Widgets whose host element is removed from the DOM are destroyed.
+         * 
+         * <div data-saaslet="signup-login" data-saaslet-config='{"loginButtonText":"log in now"}' data-saaslet-css="..."></div>
+         * 
+         * Can also be enabled with the autoMount option of the constructor.
+         * 
+         * @param {Element} [root] the element to watch, defaults to document.body
+         * @public
+         * 
+         * @returns {undefined}
+         */
+        autoMount( root ) {
+            if( this.headless ) {
+                return;
+            }
+
+            root = root || document.body;
+
+            this.stopAutoMount();
+            this._scanForWidgets( root );
+            this._mutationObserver = new MutationObserver( this._onMutation.bind( this ) );
+            this._mutationObserver.observe( root, { childList: true, subtree: true } );
+        }
+
+        /**
+         * Stops mounting widgets for new elements. Widgets that are already mounted are kept.
+         * 
+         * @public
+         * 
+         * @returns {undefined}
+         */
+        stopAutoMount() {
+            if( this._mutationObserver ) {
+                this._mutationObserver.disconnect();
+                this._mutationObserver = null;
+            }
+        }
+
+        /**
+         * Creates a widget within an element that has already been resolved
+         * 
+         * @param {String} widgetName
+         * @param {Element} element
+         * @param {Object} [widgetConfig]
+         * @param {String} [widgetCss]
+         * @param {Object} [options] see createWidget
+         * @private
+         * 
+         * @returns {Object} { widget, promise }, the promise resolves once the widget is fully loaded
+         */
+        _mountWidget( widgetName, element, widgetConfig, widgetCss, options ) {
+            options = options || {};
+
+            const widgetId = this.id + '_wid_' + this.widgetCount;
+            // the widget id is passed in the fragment, so the url matches the one prefetched by preload
+            const url = this._getWidgetUrl( widgetName ) + `#widgetId=${widgetId}`;
+            const widget = new Widget( widgetId, widgetName, element, url, this );
+            const loadTimeout = options.loadTimeout === undefined ? this.loadTimeout : options.loadTimeout;
+
+            this.widgetCount++;
+            this.activeWidgets[ widgetId ] = widget;
+            widget.initialConfig = clone( widgetConfig || {} );
+            widget.config = clone( widget.initialConfig );
+            widget._setSizing( options );
+
+            const promise = widget._boot( loadTimeout ).then(() => {
+                const calls = [];
+
+                // sent before changes made via setConfig while the widget was loading
+                if( widgetConfig ) {
+                    calls.push( widget.call( 'setConfig', widgetConfig ) );
+                }
+
+                if( this.theme ) {
+                    calls.push( this._applyTheme( widget ) );
+                }
+                
+                if( widgetCss ) {
+                    calls.push( widget.setCss( widgetCss, { id: WIDGET_CSS_ID } ) );
+                }
+
+                return Promise.all( calls );
+            }).then(() => widget );
+
+            if( options.placeholder ) {
+                widget._showPlaceholder( options.placeholder );
+            }
+
+            widget._deferLoad( options.loading );
+
+            return { widget: widget, promise: promise };
+        }
+
+        /**
+         * Applies the current theme to a widget or removes it if there is none
+         * 
+         * @param {Widget} widget
+         * @private
+         * 
+         * @returns {Promise} resolves once the widget applied the theme
+         */
+        _applyTheme( widget ) {
+            if( !this.theme ) {
+                return widget.removeCss( THEME_CSS_ID );
+            }
+
+            return widget.setCss( getThemeCss( this.theme ), { id: THEME_CSS_ID } );
+        }
+
+        /**
+         * @param {String} widgetName
+         * @private
+         * 
+         * @returns {String} the url of the widget's page, without a widget id
+         */
+        _getWidgetUrl( widgetName ) {
+            return this.baseUrl + `?standalone=true&name=${widgetName}&appKey=${this.appPublishableKey}&protocol=${WIDGET_PROTOCOL_VERSION}`;
+        }
+
+        /**
+         * Mounts widgets for root and its descendants if they have a data-saaslet attribute
+         * 
+         * @param {Element} root
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _scanForWidgets( root ) {
+            const elements = Array.prototype.slice.call( root.querySelectorAll( '[data-saaslet]' ) );
+
+            if( root.hasAttribute( 'data-saaslet' ) ) {
+                elements.unshift( root );
+            }
+
+            elements.forEach( element => {
+                if( this._mountedElements.has( element ) ) {
+                    return;
+                }
+
+                var config = null;
+                try {
+                    config = JSON.parse( element.getAttribute( 'data-saaslet-config' ) || 'null' );
+                } catch( e ) {
+                    debug( 'Ignored element with invalid data-saaslet-config', element );
+                    return;
+                }
+
+                const mounted = this._mountWidget( element.getAttribute( 'data-saaslet' ), element, config, element.getAttribute( 'data-saaslet-css' ) );
+
+                this._mountedElements.set( element, mounted.widget );
+                mounted.promise.catch( e => {
+                    if( e.code !== 'destroyed' ) {
+                        debug( 'Failed to mount widget ' + mounted.widget.id + ': ' + e.message, element );
+                    }
+                });
+            });
+        }
+
+        /**
+         * MutationObserver callback. Mounts widgets for added elements and 
+         * destroys widgets of removed elements
+         * 
+         * @param {Array} mutations
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onMutation( mutations ) {
+            mutations.forEach( mutation => {
+                Array.prototype.forEach.call( mutation.removedNodes, node => {
+                    this._mountedElements.forEach(( widget, element ) => {
+                        if( ( node === element || node.contains( element ) ) && !element.isConnected ) {
+                            widget.destroy();
+                        }
+                    });
+                });
+
+                Array.prototype.forEach.call( mutation.addedNodes, node => {
+                    if( node.nodeType === 1 ) {
+                        this._scanForWidgets( node );
+                    }
+                });
+            });
+        }
+
+        /**
+         * Disposes this instance: destroys all its widgets, aborts pending API requests, 
+         * stops listening to widget messages and other tabs and removes all event listeners.
+         * The instance can't be used afterwards.
+         * 
+         * @public
+         * 
+         * @returns {undefined}
+         */
+        destroy() {
+            if( instances.indexOf( this ) !== -1 ) {
+                instances.splice( instances.indexOf( this ), 1 );
+
+                if( !instances.length ) {
+                    window.removeEventListener( 'message', routeWidgetMessage );
+                }
+            }
+
+            this.stopAutoMount();
+
+            if( this._onDomReady ) {
+                document.removeEventListener( 'DOMContentLoaded', this._onDomReady );
+                this._onDomReady = null;
+            }
+
+            this._modals.forEach( close => {
+                close( new WidgetError( 'Saaslet was destroyed', { code: 'destroyed' } ) );
+            });
+
+            Object.keys( this.activeWidgets ).forEach( widgetId => {
+                this.activeWidgets[ widgetId ].destroy();
+            });
+
+            this.api.destroy();
+            this.session._stopSync();
+            this.listener = {};
+        }
+
+        /**
+         * Returns one of the active widgets of this instance
+         * 
+         * @param {String} widgetId
+         * @public
+         * 
+         * @returns {Widget|null} the widget or null if there is no active widget with this id
+         */
+        getWidget( widgetId ) {
+            return Object.prototype.hasOwnProperty.call( this.activeWidgets, widgetId ) ? this.activeWidgets[ widgetId ] : null;
+        }
+
+        /**
+         * Returns the Set-Cookie headers of all API responses received so far. During server-side rendering 
+         * they have to be passed on to the browser, e.g. after a login:
+         * 
+         * res.setHeader( 'Set-Cookie', saaslet.getSetCookieHeaders() );
+         * 
+         * @public
+         * 
+         * @returns {Array} Set-Cookie header values
+         */
+        getSetCookieHeaders() {
+            return this.api.setCookieHeaders.slice();
+        }
+
+        /**
+         * Throws if widgets can't be used, because this instance is headless
+         * 
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _assertDom() {
+            if( this.headless ) {
+                throw new WidgetError( 'Widgets are not available in headless mode', { code: 'headless' } );
+            }
+        }
+
+        /**
+         * Returns a dom element for a given input
+         * 
+         * @param {String|DomElement} elementOrSelector 
+         * @private
+         * 
+         * @returns {DomElement}
+         */
+        _resolveElement( elementOrSelector ) {
+            var element = elementOrSelector;
+
+            if( typeof elementOrSelector === 'string' ) {
+                element = document.querySelector( elementOrSelector );
+            }
+
+            if( !element ) {
+                throw new WidgetError( 'Element ' + elementOrSelector + ' not found', { code: 'element not found' } );
+            }
+
+            return element;
+        }
+
+        /**
+         * Removes a previously registered widget from the internal registry. This will be internally
+         * called by the widget upon removal. The enduser is expected to remove a widget by calling .destroy()
+         * on the widget instance
+         * 
+         * @param {String} id
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _removeWidget( id ) {
+            const widget = this.activeWidgets[ id ];
+
+            delete this.activeWidgets[ id ];
+            this._mountedElements.forEach(( mountedWidget, element ) => {
+                if( mountedWidget === widget ) {
+                    this._mountedElements.delete( element );
+                }
+            });
+        }
+
+        /**
+         * Callback for postMessage events emitted by the widgets of this instance, called by routeWidgetMessage. 
+         * Messages are only accepted if they come from the iframe of an active widget, with that widget's origin, and match the schema
+         * for their action. Anything else is dropped with a debug message.
+         * 
+         * @param {PostMessage} msg
+         * @private
+         * 
+         * @returns {undefined} 
+         */
+        _onWidgetMessage( msg ) {
+            const widget = this.activeWidgets[ msg.data.widgetId ];
+
+            if( msg.origin !== widget.origin ) {
+                debug( 'Dropped message for widget ' + widget.id + ' from ' + msg.origin + ', expected ' + widget.origin, msg );
+                return;
+            }
+
+            if( msg.source !== widget.iFrame.contentWindow ) {
+                debug( 'Dropped message for widget ' + widget.id + ' that was not sent by its iframe', msg );
+                return;
+            }
+
+            const problem = validateWidgetMessage( msg.data );
+
+            if( problem ) {
+                debug( 'Dropped invalid message for widget ' + widget.id + ': ' + problem, msg );
+                return;
+            }
+            
+            if( msg.data.action === 'resize' ) {
+                widget._onResize( msg.data.data );
+            }
+
+            if( msg.data.action === 'response' ) {
+                widget._onResponse( msg.data );
+            } else if( msg.data.action === 'error' && widget.state === 'loading' ) {
+                widget._onBootError( msg.data.data );
+            } else {
+                if( msg.data.action === 'ready' ) {
+                    widget._onReady();
+                }
+                widget._onEvent( msg.data.action, msg.data.data );
+            }
+        }
+
+        /**
+         * Sends an action to the widget with the given id, see Widget.call
+         * 
+         * @param {String} widgetId 
+         * @param {String} action 
+         * @param {Mixed} data 
+         * @private
+         * 
+         * @returns {Promise} resolves with the widget's response
+         */
+        _sendMessageToWidget( widgetId, action, data ) {
+            const widget = this.activeWidgets[ widgetId ];
+
+            if( !widget ) {
+                return Promise.reject( new WidgetError( 'Widget ' + widgetId + ' not found', { code: 'widget not found', widgetId: widgetId } ) );
+            }
+
+            return widget.call( action, data );
+        }
+    }
+
+    /**
+     * Saaslet instances shared by <saaslet-widget> elements, by app key and api url
+     */
+    const sharedInstances = {};
+
+    /**
+     * Registers the <saaslet-widget> custom element, a wrapper around Saaslet and Widget
+     * that can be used from plain HTML and any framework:
+     * 
+     * <saaslet-widget name="payment" app-key="..." config='{"buttonText":"pay now"}' css="..."></saaslet-widget>
+     * 
+     * Elements with the same app-key (and api-url) share a Saaslet instance. Changes to the config 
+     * attribute replace the widget's config via replaceConfig, changes to the css attribute are applied 
+     * via setCss and changes to name, app-key or api-url remount the widget. Every widget event is dispatched as a bubbling CustomEvent named 'saaslet-' + event name, 
+     * e.g. 'saaslet-success', with the event data as detail. The widget is destroyed once the element is 
+     * removed from the document.
+     * 
+     * The element is registered automatically when this script loads in a browser that supports
+     * custom elements. Call this function to register it under a different name.
+     * 
+     * @param {String} [tagName] defaults to 'saaslet-widget'
+     * 
+     * @returns {Function} the element class
+     */
+    function defineElement( tagName ) {
+        tagName = tagName || 'saaslet-widget';
+
+        if( customElements.get( tagName ) ) {
+            return customElements.get( tagName );
+        }
+
+        class SaasletWidgetElement extends HTMLElement{
+
+            static get observedAttributes() {
+                return [ 'name', 'app-key', 'api-url', 'config', 'css' ];
+            }
+
+            constructor() {
+                super();
+                this.saaslet = null;
+                this.widget = null;
+            }
+
+            connectedCallback() {
+                this._mount();
+            }
+
+            disconnectedCallback() {
+                this._unmount();
+            }
+
+            attributeChangedCallback( attribute, oldValue, newValue ) {
+                if( oldValue === newValue ) {
+                    return;
+                }
+
+                // frameworks may set the attributes after inserting the element
+                if( !this.widget ) {
+                    if( this.isConnected ) {
+                        this._mount();
+                    }
+                    return;
+                }
+
+                if( attribute === 'config' ) {
+                    // the attribute holds the full config, so keys it no longer has are removed
+                    const config = newValue === null ? {} : this._getConfig();
+                    if( config ) {
+                        this.widget.replaceConfig( config ).catch( e => this._onWidgetEvent( 'error', e ) );
+                    }
+                } else if( attribute === 'css' ) {
+                    const update = newValue ? this.widget.setCss( newValue, { id: WIDGET_CSS_ID } ) : this.widget.removeCss( WIDGET_CSS_ID );
+                    update.catch( e => this._onWidgetEvent( 'error', e ) );
+                } else {
+                    this._unmount();
+                    this._mount();
+                }
+            }
+
+            /**
+             * Creates the widget if all required attributes are present
+             * 
+             * @private
+             * 
+             * @returns {undefined}
+             */
+            _mount() {
+                const name = this.getAttribute( 'name' );
+                const appKey = this.getAttribute( 'app-key' );
+                const apiUrl = this.getAttribute( 'api-url' ) || undefined;
+                const instanceKey = appKey + '|' + ( apiUrl || '' );
+
+                if( this.widget || !name || !appKey ) {
+                    return;
+                }
+
+                if( !sharedInstances[ instanceKey ] ) {
+                    sharedInstances[ instanceKey ] = new Saaslet( appKey, apiUrl );
+                }
+
+                this.saaslet = sharedInstances[ instanceKey ];
+
+                const mounted = this.saaslet._mountWidget( name, this, this._getConfig(), this.getAttribute( 'css' ) );
+
+                this.widget = mounted.widget;
+                this.widget.on( '*', this._onWidgetEvent, this );
+
+                // failures are dispatched as saaslet-error events
+                mounted.promise.catch(() => {});
+            }
+
+            /**
+             * Destroys the widget
+             * 
+             * @private
+             * 
+             * @returns {undefined}
+             */
+            _unmount() {
+                if( !this.widget ) {
+                    return;
+                }
+
+                this.widget.off( '*', this._onWidgetEvent, this );
+                this.widget.destroy();
+                this.widget = null;
+            }
+
+            /**
+             * Returns the parsed config attribute
+             * 
+             * @private
+             * 
+             * @returns {Object|null} config
+             */
+            _getConfig() {
+                try {
+                    return JSON.parse( this.getAttribute( 'config' ) || 'null' );
+                } catch( e ) {
+                    debug( 'Ignored invalid config attribute', this );
+                    return null;
+                }
+            }
+
+            /**
+             * Re-dispatches a widget event as DOM event
+             * 
+             * @param {String} eventName
+             * @param {Mixed} data
+             * @private
+             * 
+             * @returns {undefined}
+             */
+            _onWidgetEvent( eventName, data ) {
+                this.dispatchEvent( new CustomEvent( 'saaslet-' + eventName, {
+                    detail: data,
+                    bubbles: true,
+                    composed: true
+                }));
+            }
+        }
+
+        customElements.define( tagName, SaasletWidgetElement );
+
+        return SaasletWidgetElement;
+    }
+
+    /**
+     * Namespace for user related API interactions. Accessible via saaslet.user
+     * 
+     * get, getAll, getInfo and isLoggedIn all read the same users/data payload. It is cached 
+     * for options.cacheTtl ms, concurrent reads share a single request and writes update the 
+     * cached copy right away. The cache is cleared on login and logout.
+     * 
+     * Keys can be dotted paths into nested objects, e.g. 'ui.sidebar.collapsed', unless a key
+     * with that exact name exists. Writes made within options.batchDelay ms of each other
+     * are sent as a single users/data request.
+     * 
+     * @class User
+     * @public
+     */
+    class User{
+
+        /**
+         * @param {String} apiUrl 
+         * @param {String} appPublishableKey 
+         * @param {Saaslet} parent
+         * @constructor
+         * @private
+         */
+        constructor( apiUrl, appPublishableKey, parent ) {
+            this.apiUrl = apiUrl;
+            this.appPublishableKey = appPublishableKey;
+            this.parent = parent;
+            this.cacheTtl = parent.options.cacheTtl === undefined ? 30000 : parent.options.cacheTtl;
+            this._cache = null;
+            this._cacheTime = 0;
+            this._cacheVersion = 0;
+            this._pendingFetch = null;
+            this._batch = null;
+            this.batchDelay = parent.options.batchDelay || 0;
+            this.schemas = Object.assign( {}, parent.options.userSchemas );
+        }
+
+        /**
+         * Creates a new user account for the given email
+         * 
+         * @param {String} email 
+         * @param {String} password 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} userId
+         */
+        signup( email, password, options ) {
+            const data = { 
+                email: email,
+                password: password,
+                appPublishableKey: this.appPublishableKey
+            }
+
+            if( this.parent.api.tokenStore ) {
+                data.auth = 'token';
+            }
+
+            return this.parent.api.post( this.apiUrl + 'users/signup', data, d => {
+                return this.parent.api.setTokens( d.data ).then(() => {
+                    this._invalidateCache();
+                    this.parent.emit( 'signup' );
+                    this.parent.session._onLogin( 'signup' );
+                    return d.data.userId;
+                });
+            }, options );
+        }
+
+        /**
+         * Creates a session for a given user
+         * 
+         * @param {String} email 
+         * @param {String} password 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} status
+         */
+        login( email, password, options ) {
+            const data = { 
+                email: email,
+                password: password,
+                appPublishableKey: this.appPublishableKey
+            }
+
+            if( this.parent.api.tokenStore ) {
+                data.auth = 'token';
+            }
+
+            return this.parent.api.post( this.apiUrl + 'users/login', data, d => {
+                return this.parent.api.setTokens( d.data ).then(() => {
+                    this._invalidateCache();
+                    this.parent.emit( 'login' );
+                    this.parent.session._onLogin( 'login' );
+                    return d;
+                });
+            }, options );
+        }
+
+        /**
+         * Terminates a session for a given user. In token mode the tokens are removed 
+         * even if the request fails, the promise still rejects with the error
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} status
+         */
+        logout( options ) {
+            const api = this.parent.api;
+            const onLogout = () => {
+                return api.clearTokens().then(() => {
+                    this._invalidateCache();
+                    this.parent.emit( 'logout' );
+                    this.parent.session._onLogout( 'logout' );
+                });
+            };
+
+            return api.post( this.apiUrl + 'users/logout', {}, d => onLogout().then(() => d ), options ).catch( error => {
+                if( !api.tokenStore ) {
+                    throw error;
+                }
+
+                // the user would stay logged in with tokens the API might not have revoked
+                return onLogout().then(() => {
+                    throw error;
+                });
+            });
+        }
+
+        /**
+         * Sets a user specific setting or property. The cached user data is updated
+         * immediately and reloaded if the request fails
+         * 
+         * @param {String} key a key or dotted path
+         * @param {Mixed} value a serializable value
+         * @param {RequestOptions} [options] writes with options are sent right away instead of being batched
+         * 
+         * @returns {Promise} status
+         */
+        set( key, value, options ) {
+            return this.setMany( { [ key ]: value }, options );
+        }
+
+        /**
+         * Sets multiple user specific settings or properties with a single request
+         * 
+         * @param {Object} values a map of keys or dotted paths to serializable values
+         * @param {RequestOptions} [options] writes with options are sent right away instead of being batched
+         * 
+         * @returns {Promise} status
+         */
+        setMany( values, options ) {
+            return this._write( values, [], options );
+        }
+
+        /**
+         * Deletes a user specific setting or property
+         * 
+         * @param {String} key a key or dotted path
+         * @param {RequestOptions} [options] writes with options are sent right away instead of being batched
+         * 
+         * @returns {Promise} status
+         */
+        remove( key, options ) {
+            return this._write( {}, [ key ], options );
+        }
+
+        /**
+         * Returns a copy of a previously set user setting or property
+         * 
+         * @param {String} key a key or dotted path
+         * @param {Mixed} [defaultValue] returned if the key is not set, defaults to the schema's default
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} value
+         */
+        get( key, defaultValue, options ) {
+            return this._fetchData( d => {
+                const value = readPath( d.data.user.data, key );
+
+                if( value !== undefined ) {
+                    return clone( value );
+                }
+
+                if( defaultValue !== undefined ) {
+                    return defaultValue;
+                }
+
+                return this.schemas[ key ] ? clone( this.schemas[ key ].default ) : undefined;
+            }, options );
+        }
+
+        /**
+         * Defines a schema for a key. Values written to the key, also as part of a value written 
+         * to a parent key, are validated before they are sent and rejected with a ValidationError 
+         * if they don't match. The schema's default is returned by get if the key is not set.
+         * 
+         * saaslet.user.defineSchema( 'ui.theme', { type: 'string', enum: [ 'light', 'dark' ], default: 'light' } );
+         * 
+         * @param {String} key a key or dotted path
+         * @param {Object} schema
+         * @param {String} [schema.type] 'string', 'number', 'boolean', 'object', 'array' or 'null'
+         * @param {Array} [schema.enum] list of allowed values
+         * @param {Number} [schema.min] minimum for numbers, minimum length for strings and arrays
+         * @param {Number} [schema.max] maximum for numbers, maximum length for strings and arrays
+         * @param {Function} [schema.validate] custom check, returns true or an error message
+         * @param {Mixed} [schema.default] value returned by get if the key is not set
+         * 
+         * @returns {undefined}
+         */
+        defineSchema( key, schema ) {
+            this.schemas[ key ] = schema;
+        }
+
+        /**
+         * Returns a copy of the key-value map of all current usersettings
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} UserSettings
+         */
+        getAll( options ) {
+            return this._fetchData( d => {
+                return clone( d.data.user.data );
+            }, options );
+        }
+
+        /**
+         * A simple way to check whether there's currently an active session. Returns
+         * a promuse that resolves to either true or false without throwing an error.
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} isLoggedIn
+         */
+        isLoggedIn( options ) {
+            return new Promise(( resolve, reject ) => {
+                this._fetchData( null, options ).then(() => {
+                    resolve( true );
+                })
+                .catch( e => {
+                    resolve( false );
+                });
+            }); 
+        }
+
+        /**
+         * Returns information about the currently logged in user
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} userInfo
+         */
+        getInfo( options ) {
+            return this._fetchData( this._toUserInfo, options );
+        }
+
+        /**
+         * Change the email for the currently logged in user. Requires password confirmation.
+         * The cached user info is updated immediately and reloaded if the request fails
+         * 
+         * @param {String} email 
+         * @param {String} password 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} status
+         */
+        changeEmail( email, password, options ) {
+            this._updateCache( user => {
+                user.email.address = email;
+                user.email.verified = false;
+            });
+
+            return this._rollbackOnError( this.parent.api.post( this.apiUrl + 'users/email/change', { email: email, password: password }, null, options ) );
+        }
+
+        /**
+         * Changes the password for the currently logged in user. The password is not part 
+         * of the cached user data, so the cache stays valid
+         * 
+         * @param {String} oldPassword 
+         * @param {String} newPassword 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} status
+         */
+        changePassword( oldPassword, newPassword, options ) {
+            return this.parent.api.post( this.apiUrl + 'users/password/change', { oldPassword: oldPassword, newPassword: newPassword }, null, options );
+        }
+
+        /**
+         * Sends an email with a password reset link to the given address. Does not require a session
+         * 
+         * @param {String} email 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} status
+         */
+        requestPasswordReset( email, options ) {
+            const data = {
+                email: email,
+                appPublishableKey: this.appPublishableKey
+            };
+
+            return this.parent.api.post( this.apiUrl + 'users/password/reset/request', data, d => {
+                this.parent.emit( 'passwordresetrequest', email );
+                return d;
+            }, options );
+        }
+
+        /**
+         * Sets a new password using the token from a password reset email
+         * 
+         * @param {String} token 
+         * @param {String} newPassword 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} status
+         */
+        confirmPasswordReset( token, newPassword, options ) {
+            const data = {
+                token: token,
+                newPassword: newPassword,
+                appPublishableKey: this.appPublishableKey
+            };
+
+            return this.parent.api.post( this.apiUrl + 'users/password/reset/confirm', data, d => {
+                this.parent.emit( 'passwordreset' );
+                return d;
+            }, options );
+        }
+
+        /**
+         * Sends an email with a verification link to the currently logged in user
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} status
+         */
+        sendVerificationEmail( options ) {
+            return this.parent.api.post( this.apiUrl + 'users/email/verification/send', {}, d => {
+                this.parent.emit( 'verificationemailsent' );
+                return d;
+            }, options );
+        }
+
+        /**
+         * Marks an email address as verified using the token from a verification email
+         * 
+         * @param {String} token 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} status
+         */
+        verifyEmail( token, options ) {
+            const data = {
+                token: token,
+                appPublishableKey: this.appPublishableKey
+            };
+
+            return this.parent.api.post( this.apiUrl + 'users/email/verify', data, d => {
+                this._updateCache( user => {
+                    user.email.verified = true;
+                });
+                this.parent.emit( 'emailverified' );
+                return d;
+            }, options );
+        }
+
+        /**
+         * Reloads the user data from the API, regardless of the cache
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} userInfo
+         */
+        refresh( options ) {
+            return this._fetchData( this._toUserInfo, options, 'refresh', true );
+        }
+
+        /**
+         * Loads the current user's data and keeps saaslet.session in sync with the result.
+         * Served from the cache while it is fresh, concurrent calls share a single request
+         * 
+         * @param {Function} [transformFn] optional function that transforms the return value
+         * @param {RequestOptions} [options]
+         * @param {String} [reason] the reason passed on to a resulting sessionchange event
+         * @param {Boolean} [force] bypass the cache
+         * @private
+         * 
+         * @returns {Promise} responseData
+         */
+        _fetchData( transformFn, options, reason, force ) {
+            return this._loadData( options, force ).then( d => {
+                this.parent.session._setState( 'authenticated', this._toUserInfo( d ), reason || 'refresh' );
+                return transformFn ? transformFn( d ) : d;
+            });
+        }
+
+        /**
+         * Returns the cached users/data response or requests it. Requests with their own
+         * abort signal are not shared, so that aborting one does not abort the others
+         * 
+         * @param {RequestOptions} [options]
+         * @param {Boolean} [force] bypass the cache
+         * @private
+         * 
+         * @returns {Promise} responseData
+         */
+        _loadData( options, force ) {
+            if( !force && this._cache && Date.now() - this._cacheTime < this.cacheTtl ) {
+                return Promise.resolve( this._cache );
+            }
+
+            const shared = !options || !options.signal;
+
+            if( !force && shared && this._pendingFetch ) {
+                return this._pendingFetch;
+            }
+
+            const version = this._cacheVersion;
+            const request = this.parent.api.get( this.apiUrl + 'users/data', null, options ).then( d => {
+                if( version === this._cacheVersion ) {
+                    this._cache = d;
+                    this._cacheTime = Date.now();
+                }
+                return d;
+            });
+
+            if( shared ) {
+                const clear = () => {
+                    if( this._pendingFetch === request ) {
+                        this._pendingFetch = null;
+                    }
+                };
+                this._pendingFetch = request;
+                request.then( clear, clear );
+            }
+
+            return request;
+        }
+
+        /**
+         * Validates and applies a set of changes to the cached user data and queues them 
+         * for sending. Dotted paths are turned into updates of their top level key, 
+         * which requires the current data to be loaded.
+         * 
+         * @param {Object} values map of keys or dotted paths to values
+         * @param {Array} removals list of keys or dotted paths to delete
+         * @param {RequestOptions} [options]
+         * @private
+         * 
+         * @returns {Promise} status
+         */
+        _write( values, removals, options ) {
+            const keys = Object.keys( values );
+
+            for( var i = 0; i < keys.length; i++ ) {
+                const error = this._validate( keys[ i ], values[ keys[ i ] ] );
+                if( error ) {
+                    return Promise.reject( error );
+                }
+            }
+
+            const apply = () => {
+                const data = this._cache ? this._cache.data.user.data : {};
+                const changes = {};
+                const removed = [];
+                const getRoot = key => {
+                    const root = key.split( '.' )[ 0 ];
+                    if( !changes.hasOwnProperty( root ) ) {
+                        changes[ root ] = isPlainObject( data[ root ] ) ? clone( data[ root ] ) : {};
+                    }
+                    return changes[ root ];
+                };
+
+                keys.forEach( key => {
+                    if( isPath( data, key ) ) {
+                        writePath( getRoot( key ), key.split( '.' ).slice( 1 ), values[ key ] );
+                    } else {
+                        changes[ key ] = values[ key ];
+                    }
+                });
+
+                removals.forEach( key => {
+                    if( isPath( data, key ) ) {
+                        deletePath( getRoot( key ), key.split( '.' ).slice( 1 ) );
+                    } else {
+                        delete changes[ key ];
+                        removed.push( key );
+                    }
+                });
+
+                this._updateCache( user => {
+                    Object.assign( user.data, changes );
+                    removed.forEach( key => {
+                        delete user.data[ key ];
+                    });
+                });
+
+                return this._enqueue( changes, removed, options );
+            };
+
+            // plain keys are applied right away, paths need the current data first
+            if( keys.concat( removals ).some( key => key.indexOf( '.' ) !== -1 ) ) {
+                return this._rollbackOnError( this._loadData( options ).then( apply ) );
+            }
+
+            return this._rollbackOnError( apply() );
+        }
+
+        /**
+         * Adds changes to the current batch, which is sent after batchDelay ms. Writes
+         * with request options are sent on their own
+         * 
+         * @param {Object} changes map of top level keys to values
+         * @param {Array} removed list of top level keys to delete
+         * @param {RequestOptions} [options]
+         * @private
+         * 
+         * @returns {Promise} status
+         */
+        _enqueue( changes, removed, options ) {
+            if( options ) {
+                return this.parent.api.post( this.apiUrl + 'users/data', getDataPayload( changes, removed ), null, options );
+            }
+
+            if( !this._batch ) {
+                const batch = this._batch = { changes: {}, removed: [], promise: getPromise() };
+
+                setTimeout(() => {
+                    if( this._batch === batch ) {
+                        this._batch = null;
+                    }
+
+                    this.parent.api.post( this.apiUrl + 'users/data', getDataPayload( batch.changes, batch.removed ) )
+                        .then( batch.promise.resolve, batch.promise.reject );
+                }, this.batchDelay );
+            }
+
+            const batch = this._batch;
+
+            for( var key in changes ) {
+                batch.changes[ key ] = changes[ key ];
+                if( batch.removed.indexOf( key ) !== -1 ) {
+                    batch.removed.splice( batch.removed.indexOf( key ), 1 );
+                }
+            }
+
+            removed.forEach( key => {
+                delete batch.changes[ key ];
+                if( batch.removed.indexOf( key ) === -1 ) {
+                    batch.removed.push( key );
+                }
+            });
+
+            return batch.promise;
+        }
+
+        /**
+         * Checks a value against the schema defined for its key and against the schemas 
+         * of paths within it, e.g. a value for 'ui' against the schema of 'ui.theme'
+         * 
+         * @param {String} key
+         * @param {Mixed} value
+         * @private
+         * 
+         * @returns {ValidationError|null} error
+         */
+        _validate( key, value ) {
+            const schemaKeys = Object.keys( this.schemas );
+
+            for( var i = 0; i < schemaKeys.length; i++ ) {
+                const schemaKey = schemaKeys[ i ];
+                var error = null;
+
+                if( schemaKey === key ) {
+                    error = this._checkSchema( schemaKey, value );
+                } else if( schemaKey.indexOf( key + '.' ) === 0 && isPlainObject( value ) ) {
+                    const nestedValue = readPath( value, schemaKey.substr( key.length + 1 ) );
+
+                    // paths missing from the value are not written, so there is nothing to check
+                    if( nestedValue !== undefined ) {
+                        error = this._checkSchema( schemaKey, nestedValue );
+                    }
+                }
+
+                if( error ) {
+                    return error;
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Checks a value against the schema defined for key
+         * 
+         * @param {String} key
+         * @param {Mixed} value
+         * @private
+         * 
+         * @returns {ValidationError|null} error
+         */
+        _checkSchema( key, value ) {
+            const schema = this.schemas[ key ];
+            const type = Array.isArray( value ) ? 'array' : value === null ? 'null' : typeof value;
+            const size = type === 'number' ? value : ( type === 'string' || type === 'array' ) ? value.length : null;
+            var problem = null;
+
+            if( schema.type && schema.type !== type ) {
+                problem = 'must be of type ' + schema.type;
+            } else if( schema.enum && schema.enum.indexOf( value ) === -1 ) {
+                problem = 'must be one of ' + schema.enum.join( ', ' );
+            } else if( typeof schema.min === 'number' && size !== null && size < schema.min ) {
+                problem = 'must be at least ' + schema.min;
+            } else if( typeof schema.max === 'number' && size !== null && size > schema.max ) {
+                problem = 'must be at most ' + schema.max;
+            } else if( schema.validate ) {
+                const result = schema.validate( value );
+                if( result !== true ) {
+                    problem = typeof result === 'string' ? result : 'is invalid';
+                }
+            }
+
+            if( !problem ) {
+                return null;
+            }
+
+            return new ValidationError( key + ' ' + problem, {
+                code: 'invalid value',
+                data: { error: 'invalid value', key: key }
+            });
+        }
+
+        /**
+         * Applies a change to a copy of the cached user and stores it, 
+         * e.g. to reflect a write before it has been confirmed by the API
+         * 
+         * @param {Function} fn receives the user object of the copy
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _updateCache( fn ) {
+            if( !this._cache ) {
+                return;
+            }
+
+            const d = clone( this._cache );
+
+            fn( d.data.user );
+            this._cache = d;
+            this._cacheVersion++;
+            this.parent.session._setState( 'authenticated', this._toUserInfo( d ), 'update' );
+        }
+
+        /**
+         * Clears the cache if the given request fails, so that the next read
+         * does not return data that was never stored
+         * 
+         * @param {Promise} request
+         * @private
+         * 
+         * @returns {Promise} request
+         */
+        _rollbackOnError( request ) {
+            return request.catch( e => {
+                this._invalidateCache();
+                throw e;
+            });
+        }
+
+        /**
+         * Discards the cached user data and any request that is still on its way
+         * 
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _invalidateCache() {
+            this._cache = null;
+            this._cacheTime = 0;
+            this._cacheVersion++;
+            this._pendingFetch = null;
+        }
+
+        /**
+         * Extracts the public user information from a users/data response
+         * 
+         * @param {Object} d responseData
+         * @private
+         * 
+         * @returns {Object} userInfo
+         */
+        _toUserInfo( d ) {
+            return {
+                id: d.data.user.id,
+                email: d.data.user.email.address,
+                verified: !!d.data.user.email.verified,
+                subscriptions: clone( d.data.user.subscriptions || [] )
+            }
+        }
+    }
+
+    /**
+     * Namespace for billing related API interactions. Accessible via saaslet.billing
+     * 
+     * Payment details are collected by the payment widget. Once they are on file, plans
+     * can be subscribed to and managed from here. Every change of the current user's 
+     * subscription is announced by a 'subscriptionchange' event on the Saaslet instance.
+     * 
+     * saaslet.on( 'subscriptionchange', ( subscription, previousSubscription ) => {
+     *     // subscription is null if the user has none, 
+     *     // previousSubscription is undefined if it wasn't known before
+     * });
+     * 
+     * @class Billing
+     * @public
+     */
+    class Billing{
+
+        /**
+         * @param {String} apiUrl 
+         * @param {String} appPublishableKey 
+         * @param {Saaslet} parent
+         * @constructor
+         * @private
+         */
+        constructor( apiUrl, appPublishableKey, parent ) {
+            this.apiUrl = apiUrl;
+            this.appPublishableKey = appPublishableKey;
+            this.parent = parent;
+            this.subscription = undefined;
+            this.parent.on( 'sessionchange', this._onSessionChange, this );
+        }
+
+        /**
+         * Returns the plans available for this app
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} plans
+         */
+        getPlans( options ) {
+            const url = this.apiUrl + 'billing/plans?appPublishableKey=' + encodeURIComponent( this.appPublishableKey );
+
+            return this.parent.api.get( url, d => {
+                return ( d.data.plans || [] ).map( plan => {
+                    return {
+                        id: plan.id,
+                        name: plan.name,
+                        amount: plan.amount,
+                        currency: plan.currency,
+                        interval: plan.interval
+                    };
+                });
+            }, options );
+        }
+
+        /**
+         * Returns the current user's subscription or null if there is none
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} subscription
+         */
+        getSubscription( options ) {
+            return this.parent.api.get( this.apiUrl + 'billing/subscription', d => {
+                return this._setSubscription( d.data.subscription );
+            }, options );
+        }
+
+        /**
+         * Subscribes the current user to a plan, using the payment details on file
+         * 
+         * @param {String} planId 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} subscription
+         */
+        subscribe( planId, options ) {
+            return this._changeSubscription( 'billing/subscription', { planId: planId }, options );
+        }
+
+        /**
+         * Moves the current user's subscription to a different plan
+         * 
+         * @param {String} planId 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} subscription
+         */
+        changePlan( planId, options ) {
+            return this._changeSubscription( 'billing/subscription/change', { planId: planId }, options );
+        }
+
+        /**
+         * Cancels the current user's subscription at the end of the current period
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} subscription
+         */
+        cancel( options ) {
+            return this._changeSubscription( 'billing/subscription/cancel', {}, options );
+        }
+
+        /**
+         * Resumes a subscription that was cancelled but has not yet ended
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} subscription
+         */
+        resume( options ) {
+            return this._changeSubscription( 'billing/subscription/resume', {}, options );
+        }
+
+        /**
+         * Returns the current user's invoices, newest first
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} invoices
+         */
+        getInvoices( options ) {
+            return this.parent.api.get( this.apiUrl + 'billing/invoices', d => {
+                return ( d.data.invoices || [] ).map( invoice => {
+                    return {
+                        id: invoice.id,
+                        amount: invoice.amount,
+                        currency: invoice.currency,
+                        status: invoice.status,
+                        date: toDate( invoice.date ),
+                        url: invoice.url || null
+                    };
+                });
+            }, options );
+        }
+
+        /**
+         * Posts a subscription change and applies the returned subscription
+         * 
+         * @param {String} path 
+         * @param {Object} data 
+         * @param {RequestOptions} [options]
+         * @private
+         * 
+         * @returns {Promise} subscription
+         */
+        _changeSubscription( path, data, options ) {
+            data.appPublishableKey = this.appPublishableKey;
+
+            return this.parent.api.post( this.apiUrl + path, data, d => {
+                // getInfo includes the subscriptions
+                this.parent.user._invalidateCache();
+                return this._setSubscription( d.data.subscription );
+            }, options );
+        }
+
+        /**
+         * Stores the subscription returned by the API and emits subscriptionchange 
+         * if it differs from the previously known one
+         * 
+         * @param {Object} [data] subscription as returned by the API
+         * @private
+         * 
+         * @returns {Object} subscription
+         */
+        _setSubscription( data ) {
+            const subscription = data ? {
+                id: data.id,
+                planId: data.planId,
+                status: data.status,
+                renewsAt: toDate( data.currentPeriodEnd ),
+                cancelAtPeriodEnd: !!data.cancelAtPeriodEnd
+            } : null;
+            const previousSubscription = this.subscription;
+
+            this.subscription = subscription;
+
+            if( JSON.stringify( previousSubscription ) !== JSON.stringify( subscription ) ) {
+                this.parent.emit( 'subscriptionchange', subscription, previousSubscription );
+            }
+
+            return subscription;
+        }
+
+        /**
+         * Forgets the subscription once the user logged out
+         * 
+         * @param {Object} change
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onSessionChange( change ) {
+            if( change.state !== 'authenticated' ) {
+                this.subscription = undefined;
+            }
+        }
+    }
+
+    /**
+     * Tracks whether there is an active session for the current visitor. Accessible via saaslet.session
+     * 
+     * The state is 'unknown' until the first request that reveals it, and 'anonymous' or 
+     * 'authenticated' afterwards. Every change is announced by a single 'sessionchange' event
+     * on the Saaslet instance, regardless of whether it was caused by a login, a logout, an expired 
+     * session or another tab of the same app.
+     * 
+     * saaslet.on( 'sessionchange', change => {
+     *     // change.state, change.previousState, change.user, change.reason
+     * });
+     * 
+     * @class Session
+     * @public
+     */
+    class Session{
+
+        /**
+         * @param {Saaslet} parent
+         * @constructor
+         * @private
+         */
+        constructor( parent ) {
+            this.parent = parent;
+            this.state = 'unknown';
+            this.user = null;
+            this.channelName = 'saaslet-session:' + parent.appPublishableKey;
+            this._channel = null;
+            this._onStorage = this._onStorage.bind( this );
+            this.parent.api.on( 'error', this._onRequestError, this );
+
+            if( parent.options.syncSession !== false && !parent.headless ) {
+                this._startSync();
+            }
+        }
+
+        /**
+         * Returns true if the last known state is authenticated
+         * 
+         * @returns {Boolean} isAuthenticated
+         */
+        isAuthenticated() {
+            return this.state === 'authenticated';
+        }
+
+        /**
+         * Asks the API for the current session and updates the state accordingly
+         * 
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} state
+         */
+        refresh( options ) {
+            return this.parent.user._fetchData( null, options, 'refresh', true ).then(() => this.state, e => {
+                if( e instanceof AuthenticationError ) {
+                    return this.state;
+                }
+                throw e;
+            });
+        }
+
+        /**
+         * Updates the state and emits a sessionchange event if either state or user changed
+         * 
+         * @param {String} state 'unknown', 'anonymous' or 'authenticated'
+         * @param {Object} user userInfo, null unless authenticated
+         * @param {String} reason what caused the change, e.g. 'login', 'logout', 'expired', 'refresh' or 'sync'
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _setState( state, user, reason ) {
+            const previousState = this.state;
+            const previousUser = this.user;
+
+            this.state = state;
+            this.user = user;
+
+            if( previousState === state && JSON.stringify( previousUser ) === JSON.stringify( user ) ) {
+                return;
+            }
+
+            this.parent.emit( 'sessionchange', {
+                state: state,
+                previousState: previousState,
+                user: user,
+                reason: reason
+            });
+        }
+
+        /**
+         * Called after a successful login or signup. Loads the user info and notifies other tabs
+         * 
+         * @param {String} reason
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onLogin( reason ) {
+            this._broadcast( 'login' );
+            this.parent.user._fetchData( null, null, reason ).catch(() => {});
+        }
+
+        /**
+         * Called after a successful logout. Notifies other tabs
+         * 
+         * @param {String} reason
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onLogout( reason ) {
+            this._broadcast( 'logout' );
+            this._setState( 'anonymous', null, reason );
+        }
+
+        /**
+         * Listener for failed API requests. Any request that fails because there is no
+         * session marks the session as anonymous, or as expired if it was authenticated before
+         * 
+         * @param {SaasletError} error
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onRequestError( error ) {
+            if( error instanceof AuthenticationError && error.code === 'no session found' ) {
+                this.parent.user._invalidateCache();
+                this._setState( 'anonymous', null, this.state === 'authenticated' ? 'expired' : 'refresh' );
+            }
+        }
+
+        /**
+         * Starts listening to login and logout messages from other tabs, using 
+         * a BroadcastChannel where supported and storage events otherwise
+         * 
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _startSync() {
+            if( typeof BroadcastChannel === 'function' ) {
+                this._channel = new BroadcastChannel( this.channelName );
+                this._channel.onmessage = e => this._onSyncMessage( e.data );
+            } else if( typeof window !== 'undefined' && window.localStorage ) {
+                window.addEventListener( 'storage', this._onStorage );
+            }
+        }
+
+        /**
+         * Stops listening to other tabs
+         * 
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _stopSync() {
+            if( this._channel ) {
+                this._channel.close();
+                this._channel = null;
+            }
+
+            if( typeof window !== 'undefined' ) {
+                window.removeEventListener( 'storage', this._onStorage );
+            }
+        }
+
+        /**
+         * Notifies other tabs of a login or logout
+         * 
+         * @param {String} type 'login' or 'logout'
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _broadcast( type ) {
+            const message = { type: type, time: Date.now() };
+
+            if( this._channel ) {
+                this._channel.postMessage( message );
+            } else if( typeof window !== 'undefined' && window.localStorage ) {
+                try {
+                    window.localStorage.setItem( this.channelName, JSON.stringify( message ) );
+                } catch( e ) {
+                    // storage might be full or disabled, e.g. in private mode
+                }
+            }
+        }
+
+        /**
+         * Listener for storage events, used to sync tabs in browsers without BroadcastChannel
+         * 
+         * @param {StorageEvent} e
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onStorage( e ) {
+            if( e.key !== this.channelName || !e.newValue ) {
+                return;
+            }
+
+            try {
+                this._onSyncMessage( JSON.parse( e.newValue ) );
+            } catch( error ) {
+                // not a message written by _broadcast
+            }
+        }
+
+        /**
+         * Applies a login or logout that happened in another tab
+         * 
+         * @param {Object} message
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _onSyncMessage( message ) {
+            if( !message ) {
+                return;
+            }
+
+            this.parent.user._invalidateCache();
+
+            if( message.type === 'login' ) {
+                this.parent.user._fetchData( null, null, 'sync' ).catch(() => {});
+            }
+
+            if( message.type === 'logout' ) {
+                this._setState( 'anonymous', null, 'sync' );
+            }
+        }
+    }
+
+    /**
+     * Base class for all errors produced by Saaslet. API errors carry the HTTP status
+     * (0 if no response was received), the error code returned by the server and
+     * the request that failed.
+     * 
+     * The request only contains method and url, the body is omitted to keep
+     * credentials out of error logs.
+     * 
+     * @class SaasletError
+     * @extends Error
+     * @public
+     */
+    class SaasletError extends Error{
+
+        /**
+         * @param {String} message
+         * @param {Object} [details]
+         * @param {Number} [details.status] HTTP status code
+         * @param {String} [details.code] error code, e.g. 'no session found'
+         * @param {Object} [details.data] the decoded response body
+         * @param {Object} [details.request] the request that failed
+         * @constructor
+         */
+        constructor( message, details ) {
+            super( message );
+            details = details || {};
+            this.name = 'SaasletError';
+            this.status = details.status || 0;
+            this.code = details.code || null;
+            this.data = details.data || {};
+            this.request = details.request || null;
+        }
+    }
+
+    /**
+     * No response was received, e.g. because the network is down, the request timed out
+     * (code 'timeout') or it was aborted (code 'aborted')
+     * 
+     * @class NetworkError
+     * @extends SaasletError
+     * @public
+     */
+    class NetworkError extends SaasletError{
+        constructor( message, details ) {
+            super( message, details );
+            this.name = 'NetworkError';
+        }
+    }
+
+    /**
+     * The request requires a session, e.g. 'no session found'
+     * 
+     * @class AuthenticationError
+     * @extends SaasletError
+     * @public
+     */
+    class AuthenticationError extends SaasletError{
+        constructor( message, details ) {
+            super( message, details );
+            this.name = 'AuthenticationError';
+        }
+    }
+
+    /**
+     * The request conflicts with existing data, e.g. 'user already exists'
+     * 
+     * @class ConflictError
+     * @extends SaasletError
+     * @public
+     */
+    class ConflictError extends SaasletError{
+        constructor( message, details ) {
+            super( message, details );
+            this.name = 'ConflictError';
+        }
+    }
+
+    /**
+     * The requested resource does not exist. Also returned by login for unknown credentials
+     * 
+     * @class NotFoundError
+     * @extends SaasletError
+     * @public
+     */
+    class NotFoundError extends SaasletError{
+        constructor( message, details ) {
+            super( message, details );
+            this.name = 'NotFoundError';
+        }
+    }
+
+    /**
+     * The data sent with the request was rejected
+     * 
+     * @class ValidationError
+     * @extends SaasletError
+     * @public
+     */
+    class ValidationError extends SaasletError{
+        constructor( message, details ) {
+            super( message, details );
+            this.name = 'ValidationError';
+        }
+    }
+
+    /**
+     * A widget failed or did not respond, e.g. code 'timeout' if a call to
+     * the widget was not answered in time
+     * 
+     * @class WidgetError
+     * @extends SaasletError
+     * @public
+     */
+    class WidgetError extends SaasletError{
+
+        /**
+         * @param {String} message
+         * @param {Object} [details]
+         * @param {String} [details.code] error code
+         * @param {String} [details.widgetId] id of the widget that failed
+         * @param {String} [details.action] the action that failed, if any
+         * @constructor
+         */
+        constructor( message, details ) {
+            super( message, details );
+            details = details || {};
+            this.name = 'WidgetError';
+            this.widgetId = details.widgetId || null;
+            this.action = details.action || null;
+        }
+    }
+
+    /**
+     * Settings that control how a single API call is sent. They can be passed as the
+     * last argument to every API method (e.g. saaslet.user.login) and default to the
+     * options passed to the Saaslet constructor.
+     * 
+     * @typedef {Object} RequestOptions
+     * @property {AbortSignal} [signal] a signal that aborts the request, including pending retries
+     * @property {Number} [timeout] time in ms after which an attempt is aborted, 0 disables the timeout
+     * @property {Number} [retries] number of times a request is retried after a network failure, a 5xx or a 429 response. 
+     * Requests that are not idempotent are only retried after a 429 response
+     * @property {Boolean} [idempotent] whether the request can safely be sent more than once, defaults to true for GET 
+     * and false for POST requests. A POST that failed with a network error or a 5xx may have been processed by the API, 
+     * retrying it could e.g. sign up or subscribe a user twice
+     * @property {Number} [retryDelay] initial delay in ms before a retry, doubled for every subsequent attempt
+     * @property {Number} [maxRetryDelay] upper limit in ms for the delay between retries
+     */
+    const defaultRequestOptions = {
+        timeout: 30000,
+        retries: 2,
+        retryDelay: 500,
+        maxRetryDelay: 30000
+    };
+
+    /**
+     * An ordered list of request or response interceptors. Accessible via 
+     * saaslet.interceptors.request and saaslet.interceptors.response
+     * 
+     * @class Interceptors
+     * @public
+     */
+    class Interceptors{
+
+        /**
+         * @constructor
+         */
+        constructor() {
+            this.handlers = [];
+        }
+
+        /**
+         * Adds an interceptor. Both functions may return a promise, interceptors run one after another
+         * in the order they were added. 
+         * 
+         * Request interceptors receive the request { method, url, headers, body, withCredentials } and 
+         * return the request to send, e.g. with additional headers or a rewritten url. 
+         * 
+         * Response interceptors receive the response { status, data } and the request, and return the response 
+         * the calling method works with. onRejected receives the SaasletError and the request, and can 
+         * recover from the error by returning a response instead of throwing.
+         * 
+         * saaslet.interceptors.request.use( request => {
+         *     request.headers[ 'X-Correlation-Id' ] = createId();
+         *     return request;
+         * });
+         * 
+         * @param {Function} [onFulfilled]
+         * @param {Function} [onRejected]
+         * @public
+         * 
+         * @returns {Number} id, to remove the interceptor via eject
+         */
+        use( onFulfilled, onRejected ) {
+            this.handlers.push({
+                onFulfilled: onFulfilled,
+                onRejected: onRejected
+            });
+
+            return this.handlers.length - 1;
+        }
+
+        /**
+         * Removes an interceptor
+         * 
+         * @param {Number} id as returned by use
+         * @public
+         * 
+         * @returns {undefined}
+         */
+        eject( id ) {
+            if( this.handlers[ id ] ) {
+                this.handlers[ id ] = null;
+            }
+        }
+
+        /**
+         * @private
+         * 
+         * @returns {Boolean} true if no interceptors are registered
+         */
+        isEmpty() {
+            return !this.handlers.some( handler => handler );
+        }
+
+        /**
+         * Chains the interceptors to a promise
+         * 
+         * @param {Promise} promise
+         * @param {Function} [getRequest] returns the request, passed to response interceptors as second argument
+         * @private
+         * 
+         * @returns {Promise} 
+         */
+        run( promise, getRequest ) {
+            getRequest = getRequest || ( () => undefined );
+
+            // interceptors added or removed while a request is pending don't affect it
+            return this.handlers.filter( handler => handler ).reduce(( chain, handler ) => {
+                return chain.then(
+                    handler.onFulfilled && ( value => handler.onFulfilled( value, getRequest() ) ),
+                    handler.onRejected && ( error => handler.onRejected( error, getRequest() ) )
+                );
+            }, promise );
+        }
+    }
+
+    /**
+     * Client for the Saaslet HTTP API. Encodes requests, hands them to the configured
+     * transport and decodes the response. Every API namespace (e.g. saaslet.user) sends
+     * its requests through the instance owned by its Saaslet.
+     * 
+     * Emits an 'error' event for every request that fails with a SaasletError.
+     * 
+     * @class ApiClient
+     * @extends EventEmitter
+     * @private
+     */
+    class ApiClient extends EventEmitter{
+
+        /**
+         * @param {Object} options the options passed to the Saaslet constructor
+         * @param {String|Function} [options.transport] 'fetch', 'xhr', 'http' or a custom transport function. Defaults to fetch where available
+         * @param {String} [options.cookie] a Cookie header sent with every request
+         * @constructor
+         */
+        constructor( options ) {
+            super();
+            this.transport = resolveTransport( options.transport );
+            this.defaults = {};
+            this.destroyed = false;
+            this._controllers = [];
+            this.interceptors = {
+                request: new Interceptors(),
+                response: new Interceptors()
+            };
+            this.tokenStore = null;
+            this.refreshUrl = null;
+            this._refreshing = null;
+            this.cookies = parseCookies( options.cookie );
+            this.setCookieHeaders = [];
+
+            for( var key in defaultRequestOptions ) {
+                this.defaults[ key ] = options[ key ] === undefined ? defaultRequestOptions[ key ] : options[ key ];
+            }
+        }
+
+        /**
+         * Execute a HTTP GET request
+         * 
+         * @param {String} url 
+         * @param {Function} [transformFn] optional function that transforms the return value
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} responseData
+         */
+        get( url, transformFn, options ) {
+            return this.sendRequest( url, null, transformFn, options );
+        }
+
+        /**
+         * Execute a HTTP POST request
+         * 
+         * @param {String} url
+         * @param {Mixed} data
+         * @param {Function} [transformFn] optional function that transforms the return value
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} responseData
+         */
+        post( url, data, transformFn, options ) {
+            return this.sendRequest( url, JSON.stringify( data ), transformFn, options );
+        }
+
+        /**
+         * Sends a request via the configured transport, retrying it if necessary
+         * 
+         * @param {String} url 
+         * @param {String} [postData] optional data, only for post requests
+         * @param {Function} [transformFn] an optional transform function
+         * @param {RequestOptions} [options]
+         * 
+         * @returns {Promise} responseData
+         */
+        sendRequest( url, postData, transformFn, options ) {
+            const settings = Object.assign( {}, this.defaults, options );
+            var request = {
+                method: postData ? 'POST' : 'GET',
+                url: url,
+                headers: { 'Content-type': 'application/json' },
+                body: postData || null,
+                withCredentials: !this.tokenStore
+            };
+
+            if( this.destroyed ) {
+                return Promise.reject( createError( request, 0, { error: 'aborted' } ) );
+            }
+
+            if( Object.keys( this.cookies ).length ) {
+                request.headers.Cookie = Object.keys( this.cookies ).map( name => name + '=' + this.cookies[ name ] ).join( '; ' );
+            }
+
+            // every request gets its own controller, so that destroy can abort it
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            const signal = settings.signal;
+            const onAbort = () => controller.abort();
+            const cleanUp = () => {
+                this._controllers.splice( this._controllers.indexOf( controller ), 1 );
+                if( signal ) {
+                    signal.removeEventListener( 'abort', onAbort );
+                }
+            };
+
+            if( controller ) {
+                if( signal && signal.aborted ) {
+                    controller.abort();
+                } else if( signal ) {
+                    signal.addEventListener( 'abort', onAbort );
+                }
+
+                settings.signal = controller.signal;
+                this._controllers.push( controller );
+            }
+
+            // without request interceptors the request is handed to the transport right away
+            const attempt = this.interceptors.request.isEmpty() ? this._authorize( request, settings ) : this.interceptors.request.run( Promise.resolve( request ) ).then( interceptedRequest => {
+                request = interceptedRequest;
+                return this._authorize( request, settings );
+            });
+
+            if( controller ) {
+                attempt.then( cleanUp, cleanUp );
+            }
+
+            const response = attempt.then( response => {
+                const data = parseBody( response.body );
+
+                this._storeCookies( response.headers[ 'set-cookie' ] );
+
+                if ( response.status != 200 && response.status != 304 ) {
+                    throw createError( request, response.status, data );
+                }
+
+                if( data === undefined ) {
+                    throw new SaasletError( 'Invalid JSON response from ' + request.url, {
+                        status: response.status,
+                        code: 'invalid response',
+                        request: getRequestInfo( request )
+                    });
+                }
+
+                return {
+                    status: response.status,
+                    data: data
+                };
+            });
+
+            return this.interceptors.response.run( response, () => request ).then( responseData => {
+                if( transformFn ) {
+                    responseData = transformFn( responseData );
+                }
+
+                return responseData;
+            }).catch( error => {
+                if( error instanceof SaasletError ) {
+                    this.emit( 'error', error );
                 }
-            })
+
+                throw error;
+            });
         }
 
         /**
-         * Change the email for the currently logged in user. Requires password confirmation
+         * Switches to token authentication: requests are sent without cookies and with the 
+         * stored access token as Authorization header
          * 
-         * @param {String} email 
-         * @param {String} password 
+         * @param {Object} store see createTokenStore
+         * @param {String} refreshUrl url that exchanges a refresh token for a new token pair
          * 
-         * @returns {Promise} status
+         * @returns {undefined}
+         */
+        useTokens( store, refreshUrl ) {
+            this.tokenStore = store;
+            this.refreshUrl = refreshUrl;
+        }
+
+        /**
+         * Stores the tokens returned by login, signup or a refresh. Does nothing in cookie mode
+         * 
+         * @param {Object} data response data, { accessToken, refreshToken, expiresIn } with expiresIn in seconds
+         * 
+         * @returns {Promise} resolves with the stored tokens, or null if there are none
+         */
+        setTokens( data ) {
+            if( !this.tokenStore || !data || !data.accessToken ) {
+                return Promise.resolve( null );
+            }
+
+            return Promise.resolve( this.tokenStore.get() ).then( previous => {
+                const tokens = {
+                    accessToken: data.accessToken,
+                    refreshToken: data.refreshToken || ( previous && previous.refreshToken ) || null,
+                    expiresAt: data.expiresIn ? Date.now() + data.expiresIn * 1000 : null
+                };
+
+                return Promise.resolve( this.tokenStore.set( tokens ) ).then(() => tokens );
+            });
+        }
+
+        /**
+         * Removes the stored tokens, e.g. on logout. Does nothing in cookie mode
+         * 
+         * @returns {Promise}
+         */
+        clearTokens() {
+            return Promise.resolve( this.tokenStore && this.tokenStore.clear() );
+        }
+
+        /**
+         * Aborts all pending requests and rejects all future ones
+         * 
+         * @returns {undefined}
+         */
+        destroy() {
+            this.destroyed = true;
+            this._controllers.slice().forEach( controller => controller.abort() );
+            this.listener = {};
+        }
+
+        /**
+         * Keeps the Set-Cookie headers of a response and adds the cookies to the ones sent with 
+         * subsequent requests. Only happens outside of browsers, which don't expose these headers
+         * 
+         * @param {String|Array} [headers] one or more Set-Cookie header values
+         * @private
+         * 
+         * @returns {undefined}
+         */
+        _storeCookies( headers ) {
+            if( !headers ) {
+                return;
+            }
+
+            [].concat( headers ).forEach( header => {
+                const cookie = header.split( ';' )[ 0 ];
+                const index = cookie.indexOf( '=' );
+                const name = cookie.substr( 0, index ).trim();
+
+                this.setCookieHeaders.push( header );
+
+                if( index <= 0 ) {
+                    return;
+                }
+
+                if( /;\s*max-age=0/i.test( header ) || /;\s*expires=thu, 01 jan 1970/i.test( header ) ) {
+                    delete this.cookies[ name ];
+                } else {
+                    this.cookies[ name ] = cookie.substr( index + 1 ).trim();
+                }
+            });
+        }
+
+        /**
+         * Adds the access token to the request in token mode and sends it. If the API rejects the token, 
+         * it is refreshed and the request is sent once more. Requests with settings.skipAuth are sent as they are
+         * 
+         * @param {Object} request
+         * @param {RequestOptions} settings
+         * @private
+         * 
+         * @returns {Promise} response
+         */
+        _authorize( request, settings ) {
+            if( !this.tokenStore || settings.skipAuth ) {
+                return this._attempt( request, settings, 0 );
+            }
+
+            const send = accessToken => {
+                if( accessToken ) {
+                    request.headers.Authorization = 'Bearer ' + accessToken;
+                } else {
+                    delete request.headers.Authorization;
+                }
+
+                return this._attempt( request, settings, 0 );
+            };
+
+            return this._getAccessToken().then( send ).then( response => {
+                if( response.status !== 401 || !request.headers.Authorization ) {
+                    return response;
+                }
+
+                return this._refreshTokens().then( accessToken => accessToken ? send( accessToken ) : response );
+            });
+        }
+
+        /**
+         * @private
+         * 
+         * @returns {Promise} resolves with the stored access token, refreshed if it is about to expire, or null
+         */
+        _getAccessToken() {
+            return Promise.resolve( this.tokenStore.get() ).then( tokens => {
+                if( !tokens ) {
+                    return null;
+                }
+
+                if( tokens.expiresAt && tokens.expiresAt - TOKEN_EXPIRY_MARGIN < Date.now() ) {
+                    return this._refreshTokens();
+                }
+
+                return tokens.accessToken;
+            });
+        }
+
+        /**
+         * Exchanges the refresh token for a new token pair. Concurrent calls share the same request. 
+         * The tokens are removed if the API rejects the refresh token
+         * 
+         * @private
+         * 
+         * @returns {Promise} resolves with the new access token, or null if there is none
+         */
+        _refreshTokens() {
+            if( this._refreshing ) {
+                return this._refreshing;
+            }
+
+            const done = () => {
+                this._refreshing = null;
+            };
+
+            this._refreshing = Promise.resolve( this.tokenStore.get() ).then( tokens => {
+                if( !tokens || !tokens.refreshToken ) {
+                    return this.clearTokens().then(() => null );
+                }
+
+                return this.post( this.refreshUrl, { refreshToken: tokens.refreshToken }, d => d.data, { skipAuth: true } )
+                    .then( data => this.setTokens( data ) )
+                    .then( tokens => tokens && tokens.accessToken, error => {
+                        if( error instanceof AuthenticationError ) {
+                            return this.clearTokens().then(() => null );
+                        }
+
+                        throw error;
+                    });
+            });
+
+            this._refreshing.then( done, done );
+
+            return this._refreshing;
+        }
+
+        /**
+         * Sends the request and schedules a retry for 429 responses and, if the request is idempotent, 
+         * for network failures, timeouts and 5xx responses until settings.retries is exhausted
+         * 
+         * @param {Object} request
+         * @param {RequestOptions} settings
+         * @param {Number} attempt zero based count of previous attempts
+         * @private
+         * 
+         * @returns {Promise} response
+         */
+        _attempt( request, settings, attempt ) {
+            const canRetry = attempt < settings.retries;
+            const idempotent = typeof settings.idempotent === 'boolean' ? settings.idempotent : request.method === 'GET';
+
+            return this._send( request, settings ).then( response => {
+                // a 429 response means that the request was not processed
+                if( canRetry && ( response.status === 429 || idempotent && response.status >= 500 ) ) {
+                    return this._retry( request, settings, attempt, getRetryAfter( response ) );
+                }
+
+                return response;
+            }, error => {
+                if( canRetry && idempotent && error instanceof NetworkError && error.code !== 'aborted' ) {
+                    return this._retry( request, settings, attempt );
+                }
+
+                throw error;
+            });
+        }
+
+        /**
+         * Waits for an exponentially growing delay (or the delay requested by the server)
+         * and sends the request again
+         * 
+         * @param {Object} request
+         * @param {RequestOptions} settings
+         * @param {Number} attempt zero based count of previous attempts
+         * @param {Number} [delay] delay in ms, e.g. from a Retry-After header
+         * @private
+         * 
+         * @returns {Promise} response
+         */
+        _retry( request, settings, attempt, delay ) {
+            if( typeof delay !== 'number' ) {
+                delay = settings.retryDelay * Math.pow( 2, attempt );
+            }
+
+            return wait( Math.min( delay, settings.maxRetryDelay ), settings.signal, request )
+                .then(() => this._attempt( request, settings, attempt + 1 ));
+        }
+
+        /**
+         * Hands a single attempt to the transport. Rejects with a NetworkError with code 'timeout', 
+         * 'aborted' or 'network error' if no response was received
+         * 
+         * @param {Object} request
+         * @param {RequestOptions} settings
+         * @private
+         * 
+         * @returns {Promise} response
          */
-        changeEmail( email, password ) {
-            return post( this.apiUrl + 'users/email/change', { email: email, password: password } );
+        _send( request, settings ) {
+            const promise = getPromise();
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            const signal = settings.signal;
+            var timeout = null;
+
+            const fail = error => {
+                if( controller ) {
+                    controller.abort();
+                }
+                promise.reject( createError( request, 0, { error: error } ) );
+            };
+            const onAbort = () => fail( 'aborted' );
+            const cleanUp = () => {
+                clearTimeout( timeout );
+                if( signal ) {
+                    signal.removeEventListener( 'abort', onAbort );
+                }
+            };
+
+            if( signal && signal.aborted ) {
+                onAbort();
+                return promise;
+            }
+
+            if( signal ) {
+                signal.addEventListener( 'abort', onAbort );
+            }
+
+            if( settings.timeout > 0 ) {
+                timeout = setTimeout( () => fail( 'timeout' ), settings.timeout );
+            }
+
+            Promise.resolve()
+                .then(() => this.transport( Object.assign( {}, request, { signal: controller ? controller.signal : null } ) ))
+                .then( promise.resolve, () => fail( 'network error' ) );
+
+            return promise.then( response => {
+                cleanUp();
+                return response;
+            }, error => {
+                cleanUp();
+                throw error;
+            });
+        }
+    }
+
+    /**
+     * Stylesheet ids used for the theme and the css passed when a widget is created
+     */
+    const THEME_CSS_ID = 'saaslet-theme';
+    const WIDGET_CSS_ID = 'saaslet-widget';
+
+    /**
+     * Turns design tokens into a CSS rule with a custom property per token
+     * 
+     * @param {Object} tokens e.g. { colors: { primary: '#0057ff' } }
+     * 
+     * @returns {String} css, e.g. :root{--saaslet-colors-primary:#0057ff;}
+     */
+    function getThemeCss( tokens ) {
+        const properties = [];
+        const addTokens = ( prefix, values ) => {
+            for( var key in values ) {
+                const name = prefix + '-' + key.replace( /[A-Z]/g, char => '-' + char.toLowerCase() );
+
+                if( isPlainObject( values[ key ] ) ) {
+                    addTokens( name, values[ key ] );
+                } else if( values[ key ] !== null && values[ key ] !== undefined ) {
+                    properties.push( name + ':' + values[ key ] + ';' );
+                }
+            }
+        };
+
+        addTokens( '--saaslet', tokens );
+
+        return ':root{' + properties.join( '' ) + '}';
+    }
+
+    /**
+     * Version of the message contract between parent and widget, sent to the widget as protocol 
+     * parameter of the iframe url. Version 1 sent setCss with a plain css string and had no
+     * removeCss, replaceConfig and viewport actions.
+     * 
+     * The parent posts { source: 'saaslet-parent', action, data, requestId } to the widget's origin:
+     * 
+     * setConfig      data is a partial config that is merged into the widget's config
+     * replaceConfig  data is the full config, replaces the widget's config (replaceConfig, resetConfig and 
+     *                replays after a reload)
+     * setCss         data is { id, css }, adds a stylesheet or replaces the one with the same id
+     * removeCss      data is { id }, removes the stylesheet with this id
+     * viewport       data is { sizing, width, maxHeight }, sent without requestId whenever the iframe's size changes
+     * 
+     * Other actions are sent via Widget.call. Every message with a requestId has to be answered with a 
+     * 'response' message carrying the same requestId and either data or error, { code, message }.
+     * 
+     * The widget finds its widgetId in the fragment of the iframe url, #widgetId=..., and posts 
+     * { source: 'saaslet-widget', widgetId, action, data } to the parent: 'ready' once 
+     * it can receive messages, 'error' with { code, message } if it fails to boot, 'resize' with its 
+     * content's size, 'response' and any event it wants to emit, e.g. 'success'.
+     * 
+     * Widgets opened via openWidget receive the focus, so the parent doesn't see the keys pressed
+     * within them: they have to post 'close' if the user presses Escape.
+     */
+    const WIDGET_PROTOCOL_VERSION = 2;
+
+    /**
+     * Expected types of the fields of messages sent by widgets, per action. Actions 
+     * that are not listed here are only required to have a string action and widgetId
+     */
+    const widgetMessageSchemas = {
+        resize: { 'data.width': 'number', 'data.height': 'number' },
+        response: { requestId: 'number' }
+    };
+
+    /**
+     * @returns {Boolean} true if the user asked the system to minimize animations
+     */
+    function prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia( '(prefers-reduced-motion: reduce)' ).matches;
+    }
+
+    /**
+     * @param {Number|String} [value] a number of pixels or a css length
+     * 
+     * @returns {String} css length
+     */
+    function toCssLength( value ) {
+        return typeof value === 'number' ? value + 'px' : ( value || '' );
+    }
+
+    /**
+     * Checks a message sent by a widget against the schema for its action
+     * 
+     * @param {Object} message the message data
+     * 
+     * @returns {String|null} a description of the problem or null if the message is valid
+     */
+    function validateWidgetMessage( message ) {
+        if( typeof message.action !== 'string' || typeof message.widgetId !== 'string' ) {
+            return 'action and widgetId must be strings';
         }
 
-        /**
-         * Changes the password for the currently logged in user
-         * 
-         * @param {String} oldPassword 
-         * @param {String} newPassword 
-         * 
-         * @returns {Promise} status
-         */
-        changePassword( oldPassword, newPassword ) {
-            return post( this.apiUrl + 'users/password/change', { oldPassword: oldPassword, newPassword: newPassword } );
+        const schema = widgetMessageSchemas[ message.action ];
+
+        for( var field in schema ) {
+            const value = readPath( message, field );
+
+            if( typeof value !== schema[ field ] || ( schema[ field ] === 'number' && !isFinite( value ) ) ) {
+                return field + ' must be of type ' + schema[ field ];
+            }
         }
+
+        return null;
     }
 
     /**
-     * Execute a HTTP GET request
+     * Logs a diagnostic message at debug level
      * 
-     * @param {String} url 
-     * @param {Function} [transformFn] optional function that transforms the return value
+     * @param {String} message
+     * @param {Mixed} [detail]
      * 
-     * @returns {Promise} responseData
+     * @returns {undefined}
      */
-    function get( url, transformFn ) {
-        return sendRequest( url, null, transformFn );
+    function debug( message, detail ) {
+        if( typeof console !== 'undefined' && console.debug ) {
+            console.debug( '[saaslet] ' + message, detail );
+        }
     }
 
     /**
-     * Execute a HTTP POST request
+     * Transports
+     * 
+     * A transport is a function that performs a single HTTP request and returns a promise. 
+     * The promise must resolve for every HTTP response, regardless of its status, and only
+     * reject if no response could be obtained (e.g. the network is down). Custom transports
+     * can be passed to the Saaslet constructor, e.g. to route calls through an instrumented
+     * client or to answer them from memory in unit tests.
+     * 
+     * The transport is invoked with a request object:
      * 
-     * @param {String} url
-     * @param {Mixed} data
-     * @param {Function} [transformFn] optional function that transforms the return value
+     * {
+     *     method: 'GET' | 'POST',
+     *     url: 'https://api.saaslet.com/users/data',
+     *     headers: { 'Content-type': 'application/json' },
+     *     body: '{"email":"..."}' | null,
+     *     withCredentials: true,
+     *     signal: AbortSignal | null // aborted once the request times out or is cancelled
+     * }
      * 
-     * @returns {Promise} responseData
+     * and has to resolve with a response object:
+     * 
+     * {
+     *     status: 200,
+     *     headers: { 'content-type': 'application/json' }, // lowercase header names, set-cookie may be an array
+     *     body: '{"data":{...}}' // the raw response text
+     * }
      */
-    function post( url, data, transformFn ) {
-        return sendRequest( url, JSON.stringify( data ), transformFn );
-    }
 
     /**
-     * Helper function that returns a promise that can be resolved/rejected from the outside
+     * Sends a request using the fetch API
      * 
-     * @returns {Promise}
+     * @param {Object} request
+     * 
+     * @returns {Promise} response
      */
-    function getPromise() {
-        var doResolve, doReject;
-        var promise = new Promise(function(resolve, reject) {
-            doResolve = resolve;
-            doReject = reject;
-        });
-    
-        promise.resolve = doResolve;
-        promise.reject = doReject;
+    function fetchTransport( request ) {
+        return fetch( request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body || undefined,
+            signal: request.signal || undefined,
+            credentials: request.withCredentials ? 'include' : 'same-origin'
+        }).then( response => {
+            return response.text().then( body => {
+                const headers = {};
 
-        return promise;
+                response.headers.forEach(( value, name ) => {
+                    headers[ name.toLowerCase() ] = value;
+                });
+
+                // only available outside of browsers, e.g. under Node.js
+                if( typeof response.headers.getSetCookie === 'function' && response.headers.getSetCookie().length ) {
+                    headers[ 'set-cookie' ] = response.headers.getSetCookie();
+                }
+
+                return {
+                    status: response.status,
+                    headers: headers,
+                    body: body
+                };
+            });
+        });
     }
-    
+
     /**
-     * Sends a XML HTTP request
+     * Sends a request using XMLHttpRequest (or its ActiveX predecessors)
      * 
-     * @param {String} url 
-     * @param {String} [postData] optional data, only for post requests
-     * @param {Function} [transformFn] an optional transform function
+     * @param {Object} request
+     * 
+     * @returns {Promise} response
      */
-    function sendRequest( url, postData, transformFn ) {
+    function xhrTransport( request ) {
         const req = createXMLHTTPObject();
         const promise = getPromise();
-        const method = postData ? "POST" : "GET";
 
         if( !req ) {
-            promise.reject( 'Could not create XMLHTTPObject' );
-            return;
+            return Promise.reject( new Error( 'Could not create XMLHTTPObject' ) );
         }
         
-        req.withCredentials = true;
-        req.open( method, url, true );
-        req.setRequestHeader('Content-type','application/json');
+        if( request.signal ) {
+            request.signal.addEventListener( 'abort', () => req.abort() );
+        }
+
+        req.withCredentials = request.withCredentials;
+        req.open( request.method, request.url, true );
+        for( var name in request.headers ) {
+            req.setRequestHeader( name, request.headers[ name ] );
+        }
         req.onreadystatechange = function () {
             if( req.readyState !== 4 ) { 
                 return;
             }
-            var responseData = {
+
+            if( req.status === 0 ) {
+                promise.reject( new Error( 'Request to ' + request.url + ' failed' ) );
+                return;
+            }
+
+            promise.resolve({
                 status: req.status,
-                data: JSON.parse( req.responseText )
-            };
+                headers: parseHeaders( req.getAllResponseHeaders() ),
+                body: req.responseText
+            });
+        }
+        req.send( request.body );
 
-            if ( req.status != 200 && req.status != 304 ) {
-                promise.reject( responseData );
-            } else {
-                if( transformFn ) {
-                    responseData = transformFn( responseData );
+        return promise;
+    }
+
+    /**
+     * Sends a request using the http and https modules of Node.js, for versions without fetch
+     * 
+     * @param {Object} request
+     * 
+     * @returns {Promise} response
+     */
+    function httpTransport( request ) {
+        if( typeof module === 'undefined' || typeof module.require !== 'function' ) {
+            return Promise.reject( new Error( 'The http transport is only available under Node.js' ) );
+        }
+
+        return new Promise(( resolve, reject ) => {
+            const url = new URL( request.url );
+            const client = module.require( url.protocol === 'https:' ? 'https' : 'http' );
+            const req = client.request( url, {
+                method: request.method,
+                headers: request.headers,
+                signal: request.signal || undefined
+            }, response => {
+                const chunks = [];
+
+                response.setEncoding( 'utf8' );
+                response.on( 'data', chunk => chunks.push( chunk ) );
+                response.on( 'error', reject );
+                response.on( 'end', () => {
+                    resolve({
+                        status: response.statusCode,
+                        headers: response.headers,
+                        body: chunks.join( '' )
+                    });
+                });
+            });
+
+            req.on( 'error', reject );
+            req.end( request.body || undefined );
+        });
+    }
+
+    /**
+     * Returns the transport function for the transport option passed to the Saaslet constructor
+     * 
+     * @param {String|Function} [transport] 'fetch', 'xhr', 'http' or a custom transport function
+     * 
+     * @returns {Function} transport
+     */
+    function resolveTransport( transport ) {
+        if( typeof transport === 'function' ) {
+            return transport;
+        }
+
+        if( !transport && typeof fetch === 'function' ) {
+            transport = 'fetch';
+        } else if( !transport ) {
+            transport = typeof window === 'undefined' ? 'http' : 'xhr';
+        }
+
+        if( !transports[ transport ] ) {
+            throw new Error( 'Unknown transport ' + transport );
+        }
+
+        return transports[ transport ];
+    }
+
+    /**
+     * Parses a raw header string as returned by getAllResponseHeaders
+     * into a map of lowercase header names to values
+     * 
+     * @param {String} rawHeaders
+     * 
+     * @returns {Object} headers
+     */
+    function parseHeaders( rawHeaders ) {
+        const headers = {};
+
+        ( rawHeaders || '' ).trim().split( /[\r\n]+/ ).forEach( line => {
+            const index = line.indexOf( ':' );
+            if( index > 0 ) {
+                headers[ line.substr( 0, index ).trim().toLowerCase() ] = line.substr( index + 1 ).trim();
+            }
+        });
+
+        return headers;
+    }
+
+    /**
+     * Creates the matching SaasletError subclass for a failed request
+     * 
+     * @param {Object} [request] the request that failed
+     * @param {Number} status HTTP status, 0 if no response was received
+     * @param {Object} [data] the decoded response body
+     * 
+     * @returns {SaasletError} error
+     */
+    function createError( request, status, data ) {
+        data = data || {};
+
+        const code = data.error || null;
+        const message = code || 'Request failed with status ' + status;
+        const details = {
+            status: status,
+            code: code,
+            data: data,
+            request: request ? getRequestInfo( request ) : null
+        };
+
+        if( status === 0 ) {
+            return new NetworkError( message, details );
+        }
+
+        if( status === 401 || status === 403 || code === 'no session found' ) {
+            return new AuthenticationError( message, details );
+        }
+
+        if( status === 409 || code === 'user already exists' ) {
+            return new ConflictError( message, details );
+        }
+
+        if( status === 404 ) {
+            return new NotFoundError( message, details );
+        }
+
+        if( status === 400 || status === 422 ) {
+            return new ValidationError( message, details );
+        }
+
+        return new SaasletError( message, details );
+    }
+
+    /**
+     * Returns the parts of a request that are safe to attach to an error
+     * 
+     * @param {Object} request
+     * 
+     * @returns {Object} requestInfo
+     */
+    function getRequestInfo( request ) {
+        return {
+            method: request.method,
+            url: request.url
+        };
+    }
+
+    /**
+     * Decodes a JSON response body. Returns null for an empty body and undefined
+     * if the body is not valid JSON
+     * 
+     * @param {String} body
+     * 
+     * @returns {Mixed} data
+     */
+    function parseBody( body ) {
+        if( !body ) {
+            return null;
+        }
+
+        try {
+            return JSON.parse( body );
+        } catch( e ) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Returns the delay in ms requested by a Retry-After header, either given
+     * in seconds or as a HTTP date
+     * 
+     * @param {Object} response
+     * 
+     * @returns {Number|undefined} delay
+     */
+    function getRetryAfter( response ) {
+        const retryAfter = response.headers && response.headers[ 'retry-after' ];
+
+        if( !retryAfter ) {
+            return;
+        }
+
+        if( /^\d+$/.test( retryAfter ) ) {
+            return parseInt( retryAfter, 10 ) * 1000;
+        }
+
+        const date = Date.parse( retryAfter );
+
+        if( !isNaN( date ) ) {
+            return Math.max( 0, date - Date.now() );
+        }
+    }
+
+    /**
+     * Returns a promise that resolves after the given delay or rejects
+     * once the (optional) signal is aborted
+     * 
+     * @param {Number} delay in ms
+     * @param {AbortSignal} [signal]
+     * @param {Object} [request] the request that is waiting, attached to the error on abort
+     * 
+     * @returns {Promise}
+     */
+    function wait( delay, signal, request ) {
+        return new Promise(( resolve, reject ) => {
+            const onAbort = () => {
+                clearTimeout( timeout );
+                reject( createError( request, 0, { error: 'aborted' } ) );
+            };
+            const timeout = setTimeout(() => {
+                if( signal ) {
+                    signal.removeEventListener( 'abort', onAbort );
                 }
-                promise.resolve( responseData );
+                resolve();
+            }, delay );
+
+            if( signal && signal.aborted ) {
+                onAbort();
+            } else if( signal ) {
+                signal.addEventListener( 'abort', onAbort );
+            }
+        });
+    }
+
+    /**
+     * Converts a date string or timestamp as returned by the API into a Date
+     * 
+     * @param {String|Number} [value]
+     * 
+     * @returns {Date|null} date
+     */
+    function toDate( value ) {
+        return value ? new Date( value ) : null;
+    }
+
+    /**
+     * Returns the body for a users/data request
+     * 
+     * @param {Object} changes map of top level keys to values
+     * @param {Array} removed list of top level keys to delete
+     * 
+     * @returns {Object} payload
+     */
+    function getDataPayload( changes, removed ) {
+        const payload = { data: changes };
+
+        if( removed.length ) {
+            payload.remove = removed;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Returns true if key should be treated as a dotted path into data,
+     * i.e. it contains a dot and is not itself a key of data
+     * 
+     * @param {Object} data
+     * @param {String} key
+     * 
+     * @returns {Boolean} isPath
+     */
+    function isPath( data, key ) {
+        return key.indexOf( '.' ) !== -1 && !data.hasOwnProperty( key );
+    }
+
+    /**
+     * Returns the value for a key or dotted path
+     * 
+     * @param {Object} data
+     * @param {String} key
+     * 
+     * @returns {Mixed} value
+     */
+    function readPath( data, key ) {
+        if( !isPath( data, key ) ) {
+            return data[ key ];
+        }
+
+        return key.split( '.' ).reduce(( value, part ) => {
+            return isPlainObject( value ) ? value[ part ] : undefined;
+        }, data );
+    }
+
+    /**
+     * Sets a value within a nested object, creating intermediate objects as required
+     * 
+     * @param {Object} target
+     * @param {Array} parts path segments
+     * @param {Mixed} value
+     * 
+     * @returns {undefined}
+     */
+    function writePath( target, parts, value ) {
+        for( var i = 0; i < parts.length - 1; i++ ) {
+            if( !isPlainObject( target[ parts[ i ] ] ) ) {
+                target[ parts[ i ] ] = {};
+            }
+            target = target[ parts[ i ] ];
+        }
+
+        target[ parts[ parts.length - 1 ] ] = value;
+    }
+
+    /**
+     * Deletes a value from a nested object
+     * 
+     * @param {Object} target
+     * @param {Array} parts path segments
+     * 
+     * @returns {undefined}
+     */
+    function deletePath( target, parts ) {
+        for( var i = 0; i < parts.length - 1; i++ ) {
+            if( !isPlainObject( target[ parts[ i ] ] ) ) {
+                return;
+            }
+            target = target[ parts[ i ] ];
+        }
+
+        delete target[ parts[ parts.length - 1 ] ];
+    }
+
+    /**
+     * @param {Mixed} value
+     * 
+     * @returns {Boolean} isPlainObject
+     */
+    function isPlainObject( value ) {
+        return value !== null && typeof value === 'object' && !Array.isArray( value );
+    }
+
+    /**
+     * Returns a deep copy of a serializable value
+     * 
+     * @param {Mixed} value
+     * 
+     * @returns {Mixed} copy
+     */
+    function clone( value ) {
+        return value === undefined ? undefined : JSON.parse( JSON.stringify( value ) );
+    }
+
+    /**
+     * Parses a Cookie header
+     * 
+     * @param {String} [header] e.g. 'session=abc; theme=dark'
+     * 
+     * @returns {Object} map of cookie names to values
+     */
+    function parseCookies( header ) {
+        const cookies = {};
+
+        ( header || '' ).split( ';' ).forEach( cookie => {
+            const index = cookie.indexOf( '=' );
+            if( index > 0 ) {
+                cookies[ cookie.substr( 0, index ).trim() ] = cookie.substr( index + 1 ).trim();
             }
+        });
+
+        return cookies;
+    }
+
+    /**
+     * Time in ms before its expiry an access token is refreshed
+     */
+    const TOKEN_EXPIRY_MARGIN = 30000;
+
+    /**
+     * Returns the store for the tokens of token authentication
+     * 
+     * @param {String|Object} [store] 'localStorage' (default), 'memory' or a custom store with get, set and clear methods
+     * @param {String} key localStorage key
+     * 
+     * @returns {Object} store with get(), set( tokens ) and clear()
+     */
+    function createTokenStore( store, key ) {
+        if( store && typeof store === 'object' ) {
+            return store;
+        }
+
+        var tokens = null;
+        const memoryStore = {
+            get: () => tokens,
+            set: value => { tokens = value; },
+            clear: () => { tokens = null; }
+        };
+
+        if( store === 'memory' ) {
+            return memoryStore;
+        }
+
+        try {
+            window.localStorage.getItem( key );
+        } catch( e ) {
+            // e.g. disabled storage in private browsing
+            return memoryStore;
         }
-        if (req.readyState == 4) return;
-        req.send(postData);
+
+        return {
+            get: () => JSON.parse( window.localStorage.getItem( key ) || 'null' ),
+            set: value => window.localStorage.setItem( key, JSON.stringify( value ) ),
+            clear: () => window.localStorage.removeItem( key )
+        };
+    }
+
+    /**
+     * Helper function that returns a promise that can be resolved/rejected from the outside
+     * 
+     * @returns {Promise}
+     */
+    function getPromise() {
+        var doResolve, doReject;
+        var promise = new Promise(function(resolve, reject) {
+            doResolve = resolve;
+            doReject = reject;
+        });
+    
+        promise.resolve = doResolve;
+        promise.reject = doReject;
 
         return promise;
     }
@@ -632,6 +4436,27 @@
         }
         return xmlhttp;
     }
+
+    const transports = {
+        fetch: fetchTransport,
+        xhr: xhrTransport,
+        http: httpTransport
+    };
+
+    Saaslet.transports = transports;
+    Saaslet.SaasletError = SaasletError;
+    Saaslet.NetworkError = NetworkError;
+    Saaslet.AuthenticationError = AuthenticationError;
+    Saaslet.ConflictError = ConflictError;
+    Saaslet.NotFoundError = NotFoundError;
+    Saaslet.ValidationError = ValidationError;
+    Saaslet.WidgetError = WidgetError;
+    Saaslet.defineElement = defineElement;
+    Saaslet.getInstances = getInstances;
+
+    if( typeof customElements !== 'undefined' && typeof HTMLElement !== 'undefined' ) {
+        defineElement();
+    }
     
     if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
         module.exports = Saaslet;
@@ -0,0 +1,294 @@
+(function(){
+
+    /**
+     * @class MockApi
+     * @public
+     * 
+     * An in-process fake of the Saaslet HTTP API for tests that have to run offline. It answers
+     * requests via a transport (see Saaslet.transports) with the same status codes and error
+     * strings as the real API, keeps users and the session in memory and can simulate
+     * slow or failing requests.
+     * 
+     * const api = new SaasletMockApi({ users: [{ email: 'a@saaslet.baz', password: 'password-a' }] });
+     * const saaslet = new Saaslet( 'app-key', { transport: api.transport } );
+     * 
+     * api.inject({ path: 'users/data', status: 500 });
+     */
+    class MockApi{
+
+        /**
+         * @constructor
+         * @param {Object} [options]
+         * @param {String} [options.apiUrl] the apiUrl Saaslet is created with, defaults to https://api.saaslet.com/
+         * @param {Array} [options.users] users to start with, see seed
+         * @param {String} [options.session] email of a user that is logged in from the start
+         * @param {Number} [options.latency] time in ms every request takes, defaults to 0
+         */
+        constructor( options ) {
+            this.options = options || {};
+            this.apiUrl = this.options.apiUrl || 'https://api.saaslet.com/';
+            this.latency = this.options.latency || 0;
+            this.transport = this.transport.bind( this );
+            this.reset();
+            this.seed({ users: this.options.users || [], session: this.options.session });
+        }
+
+        /**
+         * Removes all users, the session, pending failures and recorded requests
+         * 
+         * @returns {undefined}
+         */
+        reset() {
+            this.users = [];
+            this.session = null;
+            this.failures = [];
+            this.requests = [];
+            this._userCount = 0;
+        }
+
+        /**
+         * Adds fixtures
+         * 
+         * @param {Object} fixtures
+         * @param {Array} [fixtures.users] users as { email, password, data, verified, subscriptions }
+         * @param {String} [fixtures.session] email of the user that is logged in
+         * 
+         * @returns {undefined}
+         */
+        seed( fixtures ) {
+            ( fixtures.users || [] ).forEach( user => this._createUser( user ) );
+
+            if( fixtures.session ) {
+                this.session = this._findUser( fixtures.session ).id;
+            }
+        }
+
+        /**
+         * Makes upcoming requests fail
+         * 
+         * @param {Object} failure
+         * @param {String} [failure.path] only fail requests to this path, e.g. 'users/data', defaults to all requests
+         * @param {Number} [failure.times] number of requests to fail, defaults to 1
+         * @param {Number} [failure.status] respond with this status, defaults to 500
+         * @param {String} [failure.error] error string of the response, defaults to 'internal error'
+         * @param {Boolean} [failure.malformed] respond with status 200 and a body that isn't JSON
+         * @param {Boolean} [failure.network] fail without a response, like a network error
+         * @param {Number} [failure.latency] additional time in ms the failing request takes
+         * 
+         * @returns {undefined}
+         */
+        inject( failure ) {
+            this.failures.push( Object.assign( { times: 1 }, failure ) );
+        }
+
+        /**
+         * The transport to pass to Saaslet
+         * 
+         * @param {Object} request see Saaslet.transports
+         * 
+         * @returns {Promise} response
+         */
+        transport( request ) {
+            const path = request.url.indexOf( this.apiUrl ) === 0 ? request.url.substr( this.apiUrl.length ).split( '?' )[ 0 ] : null;
+            const failure = this._takeFailure( path );
+            const latency = this.latency + ( failure && failure.latency || 0 );
+
+            this.requests.push({
+                method: request.method,
+                path: path,
+                headers: request.headers,
+                body: request.body ? JSON.parse( request.body ) : null
+            });
+
+            return this._wait( latency, request.signal ).then(() => {
+                if( failure && failure.network ) {
+                    throw new Error( 'Simulated network error' );
+                }
+
+                if( failure && failure.malformed ) {
+                    return { status: 200, headers: { 'content-type': 'text/html' }, body: '<html>Bad Gateway</html>' };
+                }
+
+                if( failure ) {
+                    return this._respond( failure.status || 500, { error: failure.error || 'internal error' } );
+                }
+
+                return this._handle( request.method + ' ' + path, request.body ? JSON.parse( request.body ) : {} );
+            });
+        }
+
+        /**
+         * Routes a request to its endpoint
+         * 
+         * @param {String} route method and path, e.g. 'GET users/data'
+         * @param {Object} body the parsed request body
+         * @private
+         * 
+         * @returns {Object} response
+         */
+        _handle( route, body ) {
+            const user = this.users.find( user => user.id === this.session );
+
+            switch( route ) {
+                case 'POST users/signup':
+                    if( this._findUser( body.email ) ) {
+                        return this._respond( 409, { error: 'user already exists' } );
+                    }
+                    this.session = this._createUser({ email: body.email, password: body.password }).id;
+                    return this._respond( 200, { userId: this.session } );
+
+                case 'POST users/login': {
+                    const match = this._findUser( body.email );
+                    if( !match || match.password !== body.password ) {
+                        return this._respond( 404, { error: 'not found' } );
+                    }
+                    this.session = match.id;
+                    return this._respond( 200, { userId: match.id } );
+                }
+
+                case 'POST users/logout':
+                    this.session = null;
+                    return this._respond( 200, {} );
+            }
+
+            if( !user && route.indexOf( ' users/' ) !== -1 ) {
+                return this._respond( 401, { error: 'no session found' } );
+            }
+
+            switch( route ) {
+                case 'GET users/data':
+                    return this._respond( 200, {
+                        user: {
+                            id: user.id,
+                            email: { address: user.email, verified: user.verified },
+                            data: user.data,
+                            subscriptions: user.subscriptions
+                        }
+                    });
+
+                case 'POST users/data':
+                    Object.assign( user.data, body.data );
+                    ( body.remove || [] ).forEach( key => {
+                        delete user.data[ key ];
+                    });
+                    return this._respond( 200, {} );
+
+                case 'POST users/email/change':
+                    if( user.password !== body.password ) {
+                        return this._respond( 403, { error: 'invalid password' } );
+                    }
+                    if( this._findUser( body.email ) ) {
+                        return this._respond( 409, { error: 'user already exists' } );
+                    }
+                    user.email = body.email;
+                    user.verified = false;
+                    return this._respond( 200, {} );
+
+                case 'POST users/password/change':
+                    if( user.password !== body.oldPassword ) {
+                        return this._respond( 403, { error: 'invalid password' } );
+                    }
+                    user.password = body.newPassword;
+                    return this._respond( 200, {} );
+            }
+
+            return this._respond( 404, { error: 'unknown endpoint' } );
+        }
+
+        /**
+         * @param {Object} fixture { email, password, data, verified, subscriptions }
+         * @private
+         * 
+         * @returns {Object} the created user
+         */
+        _createUser( fixture ) {
+            const user = {
+                id: 'user-' + ( ++this._userCount ),
+                email: fixture.email,
+                password: fixture.password,
+                verified: !!fixture.verified,
+                data: JSON.parse( JSON.stringify( fixture.data || {} ) ),
+                subscriptions: fixture.subscriptions || []
+            };
+
+            this.users.push( user );
+
+            return user;
+        }
+
+        /**
+         * @param {String} email
+         * @private
+         * 
+         * @returns {Object|undefined} user
+         */
+        _findUser( email ) {
+            return this.users.find( user => user.email === email );
+        }
+
+        /**
+         * Returns and uses up the first injected failure that matches the path
+         * 
+         * @param {String} path
+         * @private
+         * 
+         * @returns {Object|null} failure
+         */
+        _takeFailure( path ) {
+            const failure = this.failures.find( failure => !failure.path || failure.path === path );
+
+            if( !failure ) {
+                return null;
+            }
+
+            if( --failure.times <= 0 ) {
+                this.failures.splice( this.failures.indexOf( failure ), 1 );
+            }
+
+            return failure;
+        }
+
+        /**
+         * @param {Number} status
+         * @param {Object} data
+         * @private
+         * 
+         * @returns {Object} response
+         */
+        _respond( status, data ) {
+            return {
+                status: status,
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify( data )
+            };
+        }
+
+        /**
+         * Waits for the simulated latency, rejects if the request is aborted in the meantime
+         * 
+         * @param {Number} delay
+         * @param {AbortSignal} [signal]
+         * @private
+         * 
+         * @returns {Promise}
+         */
+        _wait( delay, signal ) {
+            return new Promise(( resolve, reject ) => {
+                const timeout = setTimeout( resolve, delay );
+
+                if( signal ) {
+                    signal.addEventListener( 'abort', () => {
+                        clearTimeout( timeout );
+                        reject( new Error( 'aborted' ) );
+                    });
+                }
+            });
+        }
+    }
+
+    if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+        module.exports = MockApi;
+    } else {
+        window.SaasletMockApi = MockApi;
+    }
+})();
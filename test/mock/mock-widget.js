@@ -0,0 +1,181 @@
+(function(){
+
+    /**
+     * @class MockWidget
+     * @public
+     *
+     * Plays the part of a widget's iframe in tests. It records the messages the parent sends to
+     * the widget, answers calls and posts messages to the parent the way the widget would, i.e. as
+     * MessageEvent from the iframe's window and origin.
+     *
+     * const created = saaslet.createWidget( 'signup-login', '#widget' );
+     * const mock = SaasletMockWidget.latest( saaslet );
+     *
+     * mock.ready();
+     * const widget = await created;
+     */
+    class MockWidget{
+
+        /**
+         * @constructor
+         * @param {Widget} widget the widget whose iframe is faked
+         * @param {Object} [options]
+         * @param {Function|Boolean} [options.respond] called with action and data for every call, its return value is
+         * sent back as the response's data and errors it throws as the response's error, { code, message }.
+         * false to not answer calls at all. Defaults to answering every call with null
+         */
+        constructor( widget, options ) {
+            this.options = options || {};
+            this.widget = widget;
+            this.messages = [];
+            this.respond = this.options.respond === undefined ? () => null : this.options.respond;
+
+            widget._sendMessage = this._receive.bind( this );
+        }
+
+        /**
+         * Fakes the iframe of the widget that was created last
+         *
+         * @param {Saaslet} saaslet
+         * @param {Object} [options] see constructor
+         *
+         * @returns {MockWidget}
+         */
+        static latest( saaslet, options ) {
+            const widgetIds = Object.keys( saaslet.activeWidgets );
+
+            return new MockWidget( saaslet.activeWidgets[ widgetIds[ widgetIds.length - 1 ] ], options );
+        }
+
+        /**
+         * Creates a Saaslet instance for widget tests. It doesn't sync the session with other
+         * tabs and loads widgets from the test page's origin instead of saaslet.com
+         *
+         * @param {Object} [options] Saaslet options
+         *
+         * @returns {Saaslet}
+         */
+        static createSaaslet( options ) {
+            const saaslet = new Saaslet( 'app-key', Object.assign( { syncSession: false }, options ) );
+
+            saaslet.baseUrl = location.origin + '/widgets/';
+            return saaslet;
+        }
+
+        /**
+         * Creates a signup-login widget, fakes its iframe and reports that it is ready
+         *
+         * @param {Saaslet} saaslet
+         * @param {Element} element
+         * @param {Object} [widgetConfig] see Saaslet.createWidget
+         * @param {String} [widgetCss] see Saaslet.createWidget
+         * @param {Object} [widgetOptions] see Saaslet.createWidget
+         * @param {Object} [options] see constructor
+         *
+         * @returns {Promise} resolves with { widget, mock } once the widget is ready
+         */
+        static createReadyWidget( saaslet, element, widgetConfig, widgetCss, widgetOptions, options ) {
+            const created = saaslet.createWidget( 'signup-login', element, widgetConfig, widgetCss, widgetOptions );
+            const mock = MockWidget.latest( saaslet, options );
+
+            mock.ready();
+            return created.then( widget => ({ widget: widget, mock: mock }) );
+        }
+
+        /**
+         * @param {Promise} promise
+         *
+         * @returns {Promise} resolves with the error the promise is rejected with and rejects if it resolves
+         */
+        static getError( promise ) {
+            return promise.then(() => {
+                throw new Error( 'expected the promise to be rejected' );
+            }, e => e );
+        }
+
+        /**
+         * @returns {Promise} resolves once pending timeouts and post messages are handled
+         */
+        static nextTick() {
+            return new Promise( resolve => setTimeout( resolve, 0 ) );
+        }
+
+        /**
+         * Posts a message from the widget to the parent
+         *
+         * @param {String} action
+         * @param {Mixed} [data]
+         * @param {Object} [overrides]
+         * @param {String} [overrides.origin] origin of the message, defaults to the widget's origin
+         * @param {Window} [overrides.source] window that sent the message, defaults to the iframe's window
+         * @param {Object} [overrides.fields] merged into the message, e.g. { widgetId } or { requestId }
+         *
+         * @returns {undefined}
+         */
+        post( action, data, overrides ) {
+            overrides = overrides || {};
+
+            window.dispatchEvent( new MessageEvent( 'message', {
+                data: Object.assign({
+                    source: 'saaslet-widget',
+                    widgetId: this.widget.id,
+                    action: action,
+                    data: data
+                }, overrides.fields ),
+                origin: overrides.origin || this.widget.origin,
+                source: overrides.source || this.widget.iFrame.contentWindow
+            }));
+        }
+
+        /**
+         * Reports that the widget is ready
+         *
+         * @returns {undefined}
+         */
+        ready() {
+            this.post( 'ready' );
+        }
+
+        /**
+         * @param {String} action
+         *
+         * @returns {Array} the data of all messages with this action the parent sent so far
+         */
+        received( action ) {
+            return this.messages.filter( message => message.action === action ).map( message => message.data );
+        }
+
+        /**
+         * Records a message sent by the parent and answers it if it is a call
+         *
+         * @param {String} action
+         * @param {Mixed} data
+         * @param {Number} [requestId]
+         * @private
+         *
+         * @returns {undefined}
+         */
+        _receive( action, data, requestId ) {
+            this.messages.push({ action: action, data: data, requestId: requestId });
+
+            if( requestId === undefined || !this.respond ) {
+                return;
+            }
+
+            // post messages are delivered asynchronously
+            Promise.resolve().then(() => {
+                try {
+                    this.post( 'response', this.respond( action, data ), { fields: { requestId: requestId } } );
+                } catch( e ) {
+                    this.post( 'response', null, { fields: { requestId: requestId, error: { code: e.code, message: e.message } } } );
+                }
+            });
+        }
+    }
+
+    if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+        module.exports = MockWidget;
+    } else {
+        window.SaasletMockWidget = MockWidget;
+    }
+})();
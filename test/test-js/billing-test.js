@@ -0,0 +1,87 @@
+describe('it interacts with the billing API', function () {
+    var saaslet;
+    var requests = [];
+    var changes = [];
+    var subscription = null;
+
+    function billingTransport( request ) {
+        const respond = data => Promise.resolve({ status: 200, headers: {}, body: JSON.stringify( data ) });
+        const path = request.url.replace( 'https://api.saaslet.com/', '' );
+
+        requests.push( request );
+
+        if( path.indexOf( 'billing/plans' ) === 0 ) {
+            return respond({ plans: [{ id: 'basic', name: 'Basic', amount: 900, currency: 'usd', interval: 'month' }] });
+        }
+
+        if( path === 'billing/invoices' ) {
+            return respond({ invoices: [{ id: 'in_1', amount: 900, currency: 'usd', status: 'paid', date: '2026-10-01T00:00:00Z', url: 'https://saaslet.baz/in_1' }] });
+        }
+
+        if( request.method === 'POST' ) {
+            const body = JSON.parse( request.body );
+            subscription = {
+                id: 'sub_1',
+                planId: body.planId || subscription.planId,
+                status: 'active',
+                currentPeriodEnd: '2026-11-01T00:00:00Z',
+                cancelAtPeriodEnd: path === 'billing/subscription/cancel'
+            };
+        }
+
+        return respond({ subscription: subscription });
+    }
+
+    it('creates the saaslet instance', function () {
+        saaslet = new Saaslet( 'billing-app-key', { transport: billingTransport, syncSession: false } );
+        saaslet.on( 'subscriptionchange', ( current, previous ) => { changes.push({ current: current, previous: previous }); });
+    });
+
+    after(function () {
+        saaslet.destroy();
+    });
+
+    it('lists the plans', async function () {
+        const plans = await saaslet.billing.getPlans();
+        assert.equal( plans[ 0 ].id, 'basic' );
+        assert.equal( requests[ 0 ].url, 'https://api.saaslet.com/billing/plans?appPublishableKey=billing-app-key' );
+    });
+
+    it('returns null without subscription', async function () {
+        assert.isNull( await saaslet.billing.getSubscription() );
+        assert.equal( changes.length, 1 );
+        assert.isNull( changes[ 0 ].current );
+    });
+
+    it('subscribes to a plan', async function () {
+        const result = await saaslet.billing.subscribe( 'basic' );
+        assert.equal( result.planId, 'basic' );
+        assert.equal( result.status, 'active' );
+        assert.equal( result.renewsAt.getTime(), Date.parse( '2026-11-01T00:00:00Z' ) );
+        assert.deepEqual( JSON.parse( requests[ requests.length - 1 ].body ), { planId: 'basic', appPublishableKey: 'billing-app-key' } );
+        assert.equal( changes.length, 2 );
+    });
+
+    it('changes the plan', async function () {
+        await saaslet.billing.changePlan( 'pro' );
+        assert.equal( changes[ 2 ].current.planId, 'pro' );
+        assert.equal( changes[ 2 ].previous.planId, 'basic' );
+    });
+
+    it('cancels and resumes', async function () {
+        assert.isTrue( ( await saaslet.billing.cancel() ).cancelAtPeriodEnd );
+        assert.isFalse( ( await saaslet.billing.resume() ).cancelAtPeriodEnd );
+        assert.equal( changes.length, 5 );
+    });
+
+    it('does not emit without change', async function () {
+        await saaslet.billing.getSubscription();
+        assert.equal( changes.length, 5 );
+    });
+
+    it('lists invoices', async function () {
+        const invoices = await saaslet.billing.getInvoices();
+        assert.equal( invoices[ 0 ].id, 'in_1' );
+        assert.instanceOf( invoices[ 0 ].date, Date );
+    });
+});
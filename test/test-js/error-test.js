@@ -0,0 +1,84 @@
+describe('it rejects with structured errors', function () {
+
+    var instances = [];
+
+    function createSaaslet( status, body ) {
+        return createInstance( () => Promise.resolve({ status: status, headers: {}, body: body }) );
+    }
+
+    function createInstance( transport ) {
+        const saaslet = new Saaslet( 'app-key', { retries: 0, syncSession: false, transport: transport } );
+        instances.push( saaslet );
+        return saaslet;
+    }
+
+    afterEach(function () {
+        instances.splice( 0 ).forEach( saaslet => saaslet.destroy() );
+    });
+
+    async function getError( promise ) {
+        try {
+            await promise;
+        } catch( e ) {
+            return e;
+        }
+        assert.equal( 'it', 'should not get here' );
+    }
+
+    it('exports the error classes', function () {
+        [ 'NetworkError', 'AuthenticationError', 'ConflictError', 'NotFoundError', 'ValidationError' ].forEach( name => {
+            assert.isTrue( new Saaslet[ name ]( 'message' ) instanceof Saaslet.SaasletError );
+            assert.isTrue( new Saaslet[ name ]( 'message' ) instanceof Error );
+            assert.equal( new Saaslet[ name ]( 'message' ).name, name );
+        });
+    });
+
+    it('rejects with an AuthenticationError without session', async function () {
+        const e = await getError( createSaaslet( 401, '{"error":"no session found"}' ).user.getInfo() );
+        assert.instanceOf( e, Saaslet.AuthenticationError );
+        assert.equal( e.status, 401 );
+        assert.equal( e.code, 'no session found' );
+        assert.equal( e.data.error, 'no session found' );
+        assert.equal( e.message, 'no session found' );
+        assert.deepEqual( e.request, { method: 'GET', url: 'https://api.saaslet.com/users/data' } );
+    });
+
+    it('rejects with a ConflictError for existing users', async function () {
+        const e = await getError( createSaaslet( 409, '{"error":"user already exists"}' ).user.signup( 'a@saaslet.baz', 'password-a' ) );
+        assert.instanceOf( e, Saaslet.ConflictError );
+        assert.equal( e.code, 'user already exists' );
+        assert.deepEqual( e.request, { method: 'POST', url: 'https://api.saaslet.com/users/signup' } );
+    });
+
+    it('rejects with a NotFoundError for unknown credentials', async function () {
+        const e = await getError( createSaaslet( 404, '{"error":"not found"}' ).user.login( 'a@saaslet.baz', 'password-a' ) );
+        assert.instanceOf( e, Saaslet.NotFoundError );
+    });
+
+    it('rejects with a ValidationError for invalid data', async function () {
+        const e = await getError( createSaaslet( 400, '{"error":"invalid email"}' ).user.changeEmail( 'a', 'password-a' ) );
+        assert.instanceOf( e, Saaslet.ValidationError );
+        assert.equal( e.code, 'invalid email' );
+    });
+
+    it('rejects with a SaasletError for other statuses and non JSON bodies', async function () {
+        const e = await getError( createSaaslet( 502, '<html>Bad Gateway</html>' ).user.getAll() );
+        assert.equal( e.constructor, Saaslet.SaasletError );
+        assert.equal( e.status, 502 );
+        assert.equal( e.code, null );
+    });
+
+    it('rejects instead of hanging for successful non JSON responses', async function () {
+        const e = await getError( createSaaslet( 200, 'OK' ).user.getAll() );
+        assert.instanceOf( e, Saaslet.SaasletError );
+        assert.equal( e.code, 'invalid response' );
+    });
+
+    it('rejects with a NetworkError if the transport fails', async function () {
+        const saaslet = createInstance( () => Promise.reject( new Error( 'offline' ) ) );
+        const e = await getError( saaslet.user.getAll() );
+        assert.instanceOf( e, Saaslet.NetworkError );
+        assert.equal( e.status, 0 );
+        assert.equal( e.code, 'network error' );
+    });
+});
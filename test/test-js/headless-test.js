@@ -0,0 +1,55 @@
+describe('it runs headless', function () {
+
+    const userBody = JSON.stringify({ user: { id: 'user-1', email: { address: 'a@saaslet.baz' }, data: {} } });
+
+    function respondWith( responses, requests ) {
+        return function( request ) {
+            requests.push( request );
+            return Promise.resolve( responses.shift() );
+        };
+    }
+
+    it('rejects widgets in headless mode', async function () {
+        const saaslet = new Saaslet( 'app-key', { headless: true, transport: respondWith( [], [] ) } );
+
+        var errorWasThrown = false;
+        try {
+            await saaslet.createWidget( 'signup-login', '#widget' );
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.instanceOf( e, Saaslet.WidgetError );
+            assert.equal( e.code, 'headless' );
+        }
+        assert.isTrue( errorWasThrown );
+        saaslet.destroy();
+    });
+
+    it('does not keep track of headless instances', function () {
+        const saaslet = new Saaslet( 'app-key', { headless: true, transport: respondWith( [], [] ) } );
+
+        assert.notInclude( Saaslet.getInstances(), saaslet );
+    });
+
+    it('forwards cookies and collects Set-Cookie headers', async function () {
+        const requests = [];
+        const saaslet = new Saaslet( 'app-key', {
+            headless: true,
+            cookie: 'session=old; theme=dark',
+            transport: respondWith([
+                { status: 200, headers: { 'set-cookie': [ 'session=new; Path=/; HttpOnly', 'tracking=1' ] }, body: '{"status":"ok"}' },
+                { status: 200, headers: {}, body: userBody },
+                { status: 200, headers: { 'set-cookie': 'session=; Max-Age=0' }, body: '{}' }
+            ], requests )
+        });
+
+        await saaslet.user.login( 'a@saaslet.baz', 'password-a' );
+        assert.equal( requests[ 0 ].headers.Cookie, 'session=old; theme=dark' );
+
+        assert.isTrue( await saaslet.user.isLoggedIn() );
+        assert.equal( requests[ 1 ].headers.Cookie, 'session=new; theme=dark; tracking=1' );
+
+        await saaslet.user.logout();
+        assert.deepEqual( saaslet.getSetCookieHeaders(), [ 'session=new; Path=/; HttpOnly', 'tracking=1', 'session=; Max-Age=0' ] );
+        assert.deepEqual( saaslet.api.cookies, { theme: 'dark', tracking: '1' } );
+    });
+});
@@ -0,0 +1,104 @@
+describe('it runs request and response interceptors', function () {
+
+    const userBody = JSON.stringify({ user: { id: 'user-1', email: { address: 'a@saaslet.baz' }, data: {} } });
+
+    function respondWith( responses, requests ) {
+        return function( request ) {
+            requests.push( request );
+            return Promise.resolve( responses.shift() );
+        };
+    }
+
+    var instances = [];
+
+    function createSaaslet( transport ) {
+        const saaslet = new Saaslet( 'app-key', { syncSession: false, transport: transport } );
+        instances.push( saaslet );
+        return saaslet;
+    }
+
+    afterEach(function () {
+        instances.splice( 0 ).forEach( saaslet => saaslet.destroy() );
+    });
+
+    it('runs request interceptors in order, including async ones', async function () {
+        const requests = [];
+        const saaslet = createSaaslet( respondWith([ { status: 200, headers: {}, body: userBody } ], requests ) );
+
+        saaslet.interceptors.request.use( request => {
+            request.headers[ 'X-Correlation-Id' ] = 'correlation-1';
+            return request;
+        });
+        saaslet.interceptors.request.use( request => {
+            return new Promise( resolve => setTimeout(() => {
+                resolve( Object.assign( {}, request, { url: request.url.replace( 'https://api.saaslet.com/', '/proxy/' ) } ) );
+            }, 1 ));
+        });
+
+        assert.isTrue( await saaslet.user.isLoggedIn() );
+        assert.equal( requests[ 0 ].headers[ 'X-Correlation-Id' ], 'correlation-1' );
+        assert.equal( requests[ 0 ].url, '/proxy/users/data' );
+    });
+
+    it('passes responses and the request to response interceptors', async function () {
+        const requests = [];
+        const seen = [];
+        const saaslet = createSaaslet( respondWith([ { status: 200, headers: {}, body: userBody } ], requests ) );
+
+        saaslet.interceptors.response.use(( response, request ) => {
+            seen.push( request.url, response.status );
+            return response;
+        });
+
+        assert.equal( ( await saaslet.user.getInfo() ).id, 'user-1' );
+        assert.deepEqual( seen, [ 'https://api.saaslet.com/users/data', 200 ] );
+    });
+
+    it('recovers from errors in response interceptors', async function () {
+        const requests = [];
+        const errors = [];
+        const saaslet = createSaaslet( respondWith([ { status: 404, headers: {}, body: '{"error":"not found"}' } ], requests ) );
+
+        saaslet.api.on( 'error', error => errors.push( error ) );
+        saaslet.interceptors.response.use( null, error => {
+            assert.instanceOf( error, Saaslet.NotFoundError );
+            return { status: 200, data: JSON.parse( userBody ) };
+        });
+
+        assert.equal( ( await saaslet.user.getInfo() ).id, 'user-1' );
+        assert.equal( errors.length, 0 );
+    });
+
+    it('removes interceptors via eject', async function () {
+        const requests = [];
+        const saaslet = createSaaslet( respondWith([ { status: 200, headers: {}, body: userBody } ], requests ) );
+
+        const id = saaslet.interceptors.request.use( request => {
+            request.headers[ 'X-Removed' ] = 'true';
+            return request;
+        });
+        saaslet.interceptors.request.eject( id );
+
+        await saaslet.user.getInfo();
+        assert.isUndefined( requests[ 0 ].headers[ 'X-Removed' ] );
+    });
+
+    it('rejects if a request interceptor throws', async function () {
+        const requests = [];
+        const saaslet = createSaaslet( respondWith([ { status: 200, headers: {}, body: userBody } ], requests ) );
+
+        saaslet.interceptors.request.use(() => {
+            throw new Error( 'not allowed' );
+        });
+
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.getInfo();
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.message, 'not allowed' );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.equal( requests.length, 0 );
+    });
+});
@@ -0,0 +1,71 @@
+describe('it fakes the API with fixtures and injected failures', function () {
+
+    var instances = [];
+
+    function createSaaslet( api ) {
+        const saaslet = new Saaslet( 'app-key', { retries: 0, syncSession: false, transport: api.transport } );
+        instances.push( saaslet );
+        return saaslet;
+    }
+
+    afterEach(function () {
+        instances.splice( 0 ).forEach( saaslet => saaslet.destroy() );
+    });
+
+    it('starts with seeded users and session', async function () {
+        const api = new SaasletMockApi({
+            users: [{ email: 'a@saaslet.baz', password: 'password-a', data: { 'key-a': 'val-a' } }],
+            session: 'a@saaslet.baz'
+        });
+        const saaslet = createSaaslet( api );
+
+        assert.equal( ( await saaslet.user.getInfo() ).email, 'a@saaslet.baz' );
+        assert.equal( await saaslet.user.get( 'key-a' ), 'val-a' );
+    });
+
+    it('fails with injected status codes', async function () {
+        const api = new SaasletMockApi({ users: [{ email: 'a@saaslet.baz', password: 'password-a' }], session: 'a@saaslet.baz' });
+        const saaslet = createSaaslet( api );
+
+        api.inject({ path: 'users/data', status: 500 });
+
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.getInfo();
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.status, 500 );
+            assert.equal( e.data.error, 'internal error' );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.equal( ( await saaslet.user.getInfo() ).email, 'a@saaslet.baz' );
+    });
+
+    it('fails with malformed JSON and network errors', async function () {
+        const api = new SaasletMockApi();
+        const saaslet = createSaaslet( api );
+        const codes = [];
+
+        api.inject({ malformed: true });
+        api.inject({ network: true });
+
+        for( var i = 0; i < 2; i++ ) {
+            try {
+                await saaslet.user.login( 'a@saaslet.baz', 'password-a' );
+            } catch( e ) {
+                codes.push( e.code );
+            }
+        }
+        assert.deepEqual( codes, [ 'invalid response', 'network error' ] );
+    });
+
+    it('simulates latency', async function () {
+        const api = new SaasletMockApi({ latency: 50 });
+        const saaslet = createSaaslet( api );
+        const start = Date.now();
+
+        assert.isFalse( await saaslet.user.isLoggedIn() );
+        assert.isAtLeast( Date.now() - start, 45 );
+        assert.deepEqual( api.requests.map( request => request.path ), [ 'users/data' ] );
+    });
+});
@@ -0,0 +1,176 @@
+describe('it retries, times out and aborts API requests', function () {
+
+    const userBody = JSON.stringify({ user: { id: 'user-1', email: { address: 'a@saaslet.baz' }, data: {} } });
+
+    function respondWith( responses, requests ) {
+        return function( request ) {
+            requests.push( request );
+            const response = responses.shift();
+            return typeof response === 'function' ? response( request ) : Promise.resolve( response );
+        };
+    }
+
+    function hang( request ) {
+        return new Promise(( resolve, reject ) => {
+            request.signal.addEventListener( 'abort', () => reject( new Error( 'aborted' ) ) );
+        });
+    }
+
+    var instances = [];
+
+    function createSaaslet( options ) {
+        const saaslet = new Saaslet( 'app-key', Object.assign( { syncSession: false }, options ) );
+        instances.push( saaslet );
+        return saaslet;
+    }
+
+    afterEach(function () {
+        instances.splice( 0 ).forEach( saaslet => saaslet.destroy() );
+    });
+
+    it('retries after 5xx responses', async function () {
+        const requests = [];
+        const saaslet = createSaaslet({
+            retryDelay: 1,
+            transport: respondWith([
+                { status: 503, headers: {}, body: '{"error":"unavailable"}' },
+                { status: 200, headers: {}, body: userBody }
+            ], requests )
+        });
+
+        assert.isTrue( await saaslet.user.isLoggedIn() );
+        assert.equal( requests.length, 2 );
+    });
+
+    it('retries after network failures', async function () {
+        const requests = [];
+        const saaslet = createSaaslet({
+            retryDelay: 1,
+            transport: respondWith([
+                () => Promise.reject( new Error( 'offline' ) ),
+                { status: 200, headers: {}, body: userBody }
+            ], requests )
+        });
+
+        assert.equal( ( await saaslet.user.getInfo() ).id, 'user-1' );
+        assert.equal( requests.length, 2 );
+    });
+
+    it('gives up once the retries are exhausted', async function () {
+        const requests = [];
+        const saaslet = createSaaslet({
+            retries: 1,
+            retryDelay: 1,
+            transport: respondWith([
+                { status: 500, headers: {}, body: '{"error":"internal"}' },
+                { status: 500, headers: {}, body: '{"error":"internal"}' },
+                { status: 200, headers: {}, body: userBody }
+            ], requests )
+        });
+
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.getInfo();
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.status, 500 );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.equal( requests.length, 2 );
+    });
+
+    it('does not retry client errors', async function () {
+        const requests = [];
+        const saaslet = createSaaslet({
+            retryDelay: 1,
+            transport: respondWith([
+                { status: 409, headers: {}, body: '{"error":"user already exists"}' }
+            ], requests )
+        });
+
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.signup( 'a@saaslet.baz', 'password-a' );
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.status, 409 );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.equal( requests.length, 1 );
+    });
+
+    it('only retries POST requests that are marked as idempotent', async function () {
+        const requests = [];
+        const saaslet = createSaaslet({
+            retryDelay: 1,
+            transport: respondWith([
+                { status: 503, headers: {}, body: '{"error":"unavailable"}' },
+                () => Promise.reject( new Error( 'offline' ) ),
+                { status: 503, headers: {}, body: '{"error":"unavailable"}' },
+                { status: 200, headers: {}, body: '{}' }
+            ], requests )
+        });
+
+        const codes = [];
+        for( var i = 0; i < 2; i++ ) {
+            try {
+                await saaslet.billing.subscribe( 'plan-1' );
+            } catch( e ) {
+                codes.push( e.code );
+            }
+        }
+        assert.deepEqual( codes, [ 'unavailable', 'network error' ] );
+        assert.equal( requests.length, 2 );
+
+        await saaslet.billing.subscribe( 'plan-1', { idempotent: true } );
+        assert.equal( requests.length, 4 );
+    });
+
+    it('honors Retry-After on 429', async function () {
+        const requests = [];
+        const saaslet = createSaaslet({
+            retryDelay: 1,
+            transport: respondWith([
+                { status: 429, headers: { 'retry-after': '1' }, body: '{"error":"too many requests"}' },
+                { status: 200, headers: {}, body: userBody }
+            ], requests )
+        });
+
+        const start = Date.now();
+        assert.isTrue( await saaslet.user.isLoggedIn() );
+        assert.isAtLeast( Date.now() - start, 900 );
+    });
+
+    it('times out per call', async function () {
+        const saaslet = createSaaslet({ transport: hang });
+
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.login( 'a@saaslet.baz', 'password-a', { timeout: 10, retries: 0 } );
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.status, 0 );
+            assert.equal( e.data.error, 'timeout' );
+        }
+        assert.isTrue( errorWasThrown );
+    });
+
+    it('aborts via an AbortSignal without retrying', async function () {
+        const requests = [];
+        const saaslet = createSaaslet({ retryDelay: 1, transport: respondWith([ hang, hang ], requests ) });
+        const controller = new AbortController();
+        const promise = saaslet.user.getAll({ signal: controller.signal });
+
+        controller.abort();
+
+        var errorWasThrown = false;
+        try {
+            await promise;
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.data.error, 'aborted' );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.equal( requests.length, 1 );
+    });
+});
@@ -0,0 +1,90 @@
+describe('it tracks the session state', function () {
+    var saaslet, otherTab;
+    var loggedIn = false;
+    var changes = [];
+
+    function sessionTransport( request ) {
+        const respond = ( status, data ) => Promise.resolve({ status: status, headers: {}, body: JSON.stringify( data ) });
+
+        if( request.url.endsWith( 'users/login' ) ) {
+            loggedIn = true;
+            return respond( 200, {} );
+        }
+
+        if( request.url.endsWith( 'users/logout' ) ) {
+            loggedIn = false;
+            return respond( 200, {} );
+        }
+
+        if( !loggedIn ) {
+            return respond( 401, { error: 'no session found' } );
+        }
+
+        return respond( 200, { user: { id: 'user-1', email: { address: 'a@saaslet.baz' }, data: {} } } );
+    }
+
+    function waitFor( condition ) {
+        return new Promise( resolve => {
+            const check = () => condition() ? resolve() : setTimeout( check, 5 );
+            check();
+        });
+    }
+
+    it('starts in an unknown state', function () {
+        saaslet = new Saaslet( 'session-app-key', { transport: sessionTransport, retries: 0 } );
+        otherTab = new Saaslet( 'session-app-key', { transport: sessionTransport, retries: 0 } );
+        saaslet.on( 'sessionchange', change => { changes.push( change ); });
+        assert.equal( saaslet.session.state, 'unknown' );
+        assert.isNull( saaslet.session.user );
+    });
+
+    after(function () {
+        saaslet.destroy();
+        otherTab.destroy();
+    });
+
+    it('becomes anonymous after a refresh without session', async function () {
+        assert.equal( await saaslet.session.refresh(), 'anonymous' );
+        assert.equal( changes.length, 1 );
+        assert.equal( changes[ 0 ].previousState, 'unknown' );
+        assert.equal( changes[ 0 ].state, 'anonymous' );
+    });
+
+    it('becomes authenticated after login', async function () {
+        await saaslet.user.login( 'a@saaslet.baz', 'password-a' );
+        await waitFor(() => saaslet.session.isAuthenticated() );
+        assert.equal( changes[ 1 ].state, 'authenticated' );
+        assert.equal( changes[ 1 ].reason, 'login' );
+        assert.equal( changes[ 1 ].user.email, 'a@saaslet.baz' );
+    });
+
+    it('does not emit if nothing changed', async function () {
+        await saaslet.user.getInfo();
+        assert.equal( changes.length, 2 );
+    });
+
+    it('syncs the login to other tabs', async function () {
+        await waitFor(() => otherTab.session.isAuthenticated() );
+        assert.equal( otherTab.session.user.id, 'user-1' );
+    });
+
+    it('detects an expired session', async function () {
+        loggedIn = false;
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.set( 'key-a', 'val-a' );
+        } catch( e ) {
+            errorWasThrown = true;
+        }
+        assert.isTrue( errorWasThrown );
+        assert.equal( saaslet.session.state, 'anonymous' );
+        assert.isFalse( await saaslet.user.isLoggedIn() );
+        assert.equal( changes[ 2 ].reason, 'expired' );
+    });
+
+    it('syncs the logout to other tabs', async function () {
+        await saaslet.user.logout();
+        await waitFor(() => otherTab.session.state === 'anonymous' );
+        assert.equal( otherTab.session.state, 'anonymous' );
+    });
+});
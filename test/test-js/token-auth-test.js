@@ -0,0 +1,169 @@
+describe('it authenticates with tokens', function () {
+
+    const userBody = JSON.stringify({ user: { id: 'user-1', email: { address: 'a@saaslet.baz' }, data: {} } });
+    const tokenBody = JSON.stringify({ accessToken: 'access-1', refreshToken: 'refresh-1', expiresIn: 3600 });
+
+    function respondWith( responses, requests ) {
+        return function( request ) {
+            requests.push( JSON.parse( JSON.stringify( request ) ) );
+            return Promise.resolve( responses.shift() );
+        };
+    }
+
+    var instances = [];
+
+    function createSaaslet( options ) {
+        const saaslet = new Saaslet( 'app-key', Object.assign( { syncSession: false }, options ) );
+        instances.push( saaslet );
+        return saaslet;
+    }
+
+    afterEach(function () {
+        instances.splice( 0 ).forEach( saaslet => saaslet.destroy() );
+    });
+
+    it('stores tokens on login and sends them without cookies', async function () {
+        const requests = [];
+        const saaslet = createSaaslet({
+            auth: 'token',
+            tokenStore: 'memory',
+            transport: respondWith([
+                { status: 200, headers: {}, body: tokenBody },
+                { status: 200, headers: {}, body: userBody }
+            ], requests )
+        });
+
+        await saaslet.user.login( 'a@saaslet.baz', 'password-a' );
+        assert.equal( JSON.parse( requests[ 0 ].body ).auth, 'token' );
+        assert.isFalse( requests[ 0 ].withCredentials );
+
+        assert.isTrue( await saaslet.user.isLoggedIn() );
+        assert.equal( requests[ 1 ].headers.Authorization, 'Bearer access-1' );
+        assert.isFalse( requests[ 1 ].withCredentials );
+    });
+
+    it('refreshes expired tokens before sending a request', async function () {
+        const requests = [];
+        var tokens = { accessToken: 'access-0', refreshToken: 'refresh-0', expiresAt: Date.now() - 1000 };
+        const saaslet = createSaaslet({
+            auth: 'token',
+            tokenStore: {
+                get: () => Promise.resolve( tokens ),
+                set: value => { tokens = value; },
+                clear: () => { tokens = null; }
+            },
+            transport: respondWith([
+                { status: 200, headers: {}, body: tokenBody },
+                { status: 200, headers: {}, body: userBody }
+            ], requests )
+        });
+
+        assert.isTrue( await saaslet.user.isLoggedIn() );
+        assert.equal( requests[ 0 ].url, 'https://api.saaslet.com/users/token/refresh' );
+        assert.deepEqual( JSON.parse( requests[ 0 ].body ), { refreshToken: 'refresh-0' } );
+        assert.isUndefined( requests[ 0 ].headers.Authorization );
+        assert.equal( requests[ 1 ].headers.Authorization, 'Bearer access-1' );
+        assert.equal( tokens.accessToken, 'access-1' );
+    });
+
+    it('refreshes and retries once if the access token is rejected', async function () {
+        const requests = [];
+        const saaslet = createSaaslet({
+            auth: 'token',
+            tokenStore: 'memory',
+            transport: respondWith([
+                { status: 200, headers: {}, body: JSON.stringify({ accessToken: 'access-0', refreshToken: 'refresh-0' }) },
+                { status: 401, headers: {}, body: '{"error":"no session found"}' },
+                { status: 200, headers: {}, body: tokenBody },
+                { status: 200, headers: {}, body: userBody }
+            ], requests )
+        });
+
+        await saaslet.user.login( 'a@saaslet.baz', 'password-a' );
+        assert.equal( ( await saaslet.user.getInfo() ).id, 'user-1' );
+        assert.equal( requests[ 1 ].headers.Authorization, 'Bearer access-0' );
+        assert.equal( requests[ 2 ].url, 'https://api.saaslet.com/users/token/refresh' );
+        assert.equal( requests[ 3 ].headers.Authorization, 'Bearer access-1' );
+    });
+
+    it('clears the tokens if they can not be refreshed', async function () {
+        const requests = [];
+        var tokens = { accessToken: 'access-0', refreshToken: 'refresh-0', expiresAt: null };
+        const saaslet = createSaaslet({
+            auth: 'token',
+            tokenStore: {
+                get: () => tokens,
+                set: value => { tokens = value; },
+                clear: () => { tokens = null; }
+            },
+            transport: respondWith([
+                { status: 401, headers: {}, body: '{"error":"no session found"}' },
+                { status: 401, headers: {}, body: '{"error":"invalid refresh token"}' }
+            ], requests )
+        });
+
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.getInfo();
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.instanceOf( e, Saaslet.AuthenticationError );
+            assert.equal( e.code, 'no session found' );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.isNull( tokens );
+        assert.equal( requests.length, 2 );
+    });
+
+    it('clears the tokens on logout', async function () {
+        const requests = [];
+        const saaslet = createSaaslet({
+            auth: 'token',
+            tokenStore: 'memory',
+            transport: respondWith([
+                { status: 200, headers: {}, body: tokenBody },
+                { status: 200, headers: {}, body: userBody },
+                { status: 200, headers: {}, body: '{}' },
+                { status: 401, headers: {}, body: '{"error":"no session found"}' }
+            ], requests )
+        });
+
+        await saaslet.user.login( 'a@saaslet.baz', 'password-a' );
+        assert.isTrue( await saaslet.user.isLoggedIn() );
+        await saaslet.user.logout();
+        assert.isFalse( await saaslet.user.isLoggedIn() );
+        assert.equal( requests[ 2 ].headers.Authorization, 'Bearer access-1' );
+        assert.isUndefined( requests[ 3 ].headers.Authorization );
+    });
+
+    it('clears the tokens even if logout fails', async function () {
+        const requests = [];
+        const events = [];
+        const saaslet = createSaaslet({
+            auth: 'token',
+            tokenStore: 'memory',
+            transport: respondWith([
+                { status: 200, headers: {}, body: tokenBody },
+                { status: 200, headers: {}, body: userBody },
+                { status: 500, headers: {}, body: '{"error":"internal error"}' },
+                { status: 401, headers: {}, body: '{"error":"no session found"}' }
+            ], requests )
+        });
+
+        saaslet.on( 'logout', () => events.push( 'logout' ) );
+        await saaslet.user.login( 'a@saaslet.baz', 'password-a' );
+        assert.isTrue( await saaslet.user.isLoggedIn() );
+
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.logout();
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.status, 500 );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.deepEqual( events, [ 'logout' ] );
+        assert.isFalse( await saaslet.user.isLoggedIn() );
+        assert.isUndefined( requests[ 3 ].headers.Authorization );
+    });
+});
@@ -0,0 +1,66 @@
+describe('it sends requests through a custom transport', function () {
+    var saaslet;
+    var requests = [];
+
+    function memoryTransport( request ) {
+        requests.push( request );
+
+        if( request.url.endsWith( 'users/login' ) ) {
+            return Promise.resolve({ status: 404, headers: {}, body: JSON.stringify({ error: 'not found' }) });
+        }
+
+        return Promise.resolve({
+            status: 200,
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ user: { id: 'user-1', email: { address: 'a@saaslet.baz' }, data: { 'key-a': 'val-a' } } })
+        });
+    }
+
+    it('creates the saaslet instance with a custom transport', function () {
+        saaslet = new Saaslet( 'app-key', 'https://proxy.saaslet.baz/', { transport: memoryTransport, syncSession: false } );
+        assert.equal( saaslet.api.transport, memoryTransport );
+    });
+
+    after(function () {
+        saaslet.destroy();
+    });
+
+    it('accepts the options as second argument', function () {
+        const instance = new Saaslet( 'app-key', { apiUrl: 'https://proxy.saaslet.baz/', transport: 'xhr', syncSession: false } );
+        assert.equal( instance.apiUrl, 'https://proxy.saaslet.baz/' );
+        assert.equal( instance.api.transport, Saaslet.transports.xhr );
+        instance.destroy();
+    });
+
+    it('throws for unknown transports', function () {
+        assert.throws(() => new Saaslet( 'app-key', { transport: 'carrier-pigeon', syncSession: false } ), 'Unknown transport carrier-pigeon' );
+    });
+
+    it('routes GET requests through the transport', async function () {
+        const value = await saaslet.user.get( 'key-a' );
+        assert.equal( value, 'val-a' );
+        assert.equal( requests[ 0 ].method, 'GET' );
+        assert.equal( requests[ 0 ].url, 'https://proxy.saaslet.baz/users/data' );
+        assert.equal( requests[ 0 ].body, null );
+        assert.isTrue( requests[ 0 ].withCredentials );
+    });
+
+    it('routes POST requests through the transport', async function () {
+        await saaslet.user.set( 'key-b', 'val-b' );
+        const request = requests[ requests.length - 1 ];
+        assert.equal( request.method, 'POST' );
+        assert.deepEqual( JSON.parse( request.body ), { data: { 'key-b': 'val-b' } } );
+    });
+
+    it('rejects for error statuses returned by the transport', async function () {
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.login( 'a@saaslet.baz', 'password-a' );
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.status, 404 );
+            assert.equal( e.data.error, 'not found' );
+        }
+        assert.isTrue( errorWasThrown );
+    });
+});
@@ -0,0 +1,70 @@
+describe('it resets passwords and verifies emails', function () {
+    var saaslet;
+    var requests = [];
+    var events = [];
+    var verified = false;
+
+    function accountTransport( request ) {
+        requests.push( request );
+
+        if( request.url.endsWith( 'users/email/verify' ) ) {
+            verified = true;
+        }
+
+        if( request.method === 'POST' ) {
+            return Promise.resolve({ status: 200, headers: {}, body: '{}' });
+        }
+
+        return Promise.resolve({
+            status: 200,
+            headers: {},
+            body: JSON.stringify({ user: { id: 'user-1', email: { address: 'a@saaslet.baz', verified: verified }, data: {} } })
+        });
+    }
+
+    function getLastBody() {
+        return JSON.parse( requests[ requests.length - 1 ].body );
+    }
+
+    it('creates the saaslet instance', function () {
+        saaslet = new Saaslet( 'account-app-key', { transport: accountTransport, syncSession: false } );
+        [ 'passwordresetrequest', 'passwordreset', 'verificationemailsent', 'emailverified' ].forEach( eventName => {
+            saaslet.on( eventName, () => { events.push( eventName ); });
+        });
+    });
+
+    after(function () {
+        saaslet.destroy();
+    });
+
+    it('requests a password reset', async function () {
+        await saaslet.user.requestPasswordReset( 'a@saaslet.baz' );
+        assert.isTrue( requests[ 0 ].url.endsWith( 'users/password/reset/request' ) );
+        assert.deepEqual( getLastBody(), { email: 'a@saaslet.baz', appPublishableKey: 'account-app-key' } );
+        assert.deepEqual( events, [ 'passwordresetrequest' ] );
+    });
+
+    it('confirms a password reset', async function () {
+        await saaslet.user.confirmPasswordReset( 'reset-token', 'password-b' );
+        assert.isTrue( requests[ 1 ].url.endsWith( 'users/password/reset/confirm' ) );
+        assert.deepEqual( getLastBody(), { token: 'reset-token', newPassword: 'password-b', appPublishableKey: 'account-app-key' } );
+        assert.deepEqual( events, [ 'passwordresetrequest', 'passwordreset' ] );
+    });
+
+    it('exposes the verified flag', async function () {
+        assert.isFalse( ( await saaslet.user.getInfo() ).verified );
+    });
+
+    it('sends a verification email', async function () {
+        await saaslet.user.sendVerificationEmail();
+        assert.isTrue( requests[ requests.length - 1 ].url.endsWith( 'users/email/verification/send' ) );
+        assert.equal( events[ 2 ], 'verificationemailsent' );
+    });
+
+    it('verifies the email', async function () {
+        await saaslet.user.verifyEmail( 'verification-token' );
+        assert.deepEqual( getLastBody(), { token: 'verification-token', appPublishableKey: 'account-app-key' } );
+        assert.equal( events[ 3 ], 'emailverified' );
+        assert.isTrue( ( await saaslet.user.getInfo() ).verified );
+    });
+});
@@ -0,0 +1,128 @@
+describe('it caches the user data', function () {
+    var requests;
+    var failWrites;
+    var instances = [];
+
+    function createSaaslet( options ) {
+        const user = { id: 'user-1', email: { address: 'a@saaslet.baz' }, data: { 'key-a': 'val-a', 'key-b': 'val-b', ui: { theme: 'light' } } };
+
+        requests = [];
+        failWrites = false;
+
+        const saaslet = new Saaslet( 'cache-app-key', Object.assign({
+            retries: 0,
+            syncSession: false,
+            transport: request => {
+                requests.push( request );
+
+                if( request.method === 'POST' && failWrites ) {
+                    return Promise.resolve({ status: 400, headers: {}, body: '{"error":"invalid data"}' });
+                }
+
+                return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify({ user: user }) });
+            }
+        }, options ));
+
+        instances.push( saaslet );
+        return saaslet;
+    }
+
+    afterEach(function () {
+        instances.splice( 0 ).forEach( saaslet => saaslet.destroy() );
+    });
+
+    function getReads() {
+        return requests.filter( request => request.method === 'GET' ).length;
+    }
+
+    it('shares a single request between concurrent reads', async function () {
+        const saaslet = createSaaslet();
+        const results = await Promise.all([
+            saaslet.user.get( 'key-a' ),
+            saaslet.user.get( 'key-b' ),
+            saaslet.user.getAll(),
+            saaslet.user.getInfo(),
+            saaslet.user.isLoggedIn()
+        ]);
+
+        assert.equal( results[ 0 ], 'val-a' );
+        assert.equal( results[ 1 ], 'val-b' );
+        assert.equal( results[ 3 ].email, 'a@saaslet.baz' );
+        assert.isTrue( results[ 4 ] );
+        assert.equal( getReads(), 1 );
+    });
+
+    it('serves reads from the cache', async function () {
+        const saaslet = createSaaslet();
+        await saaslet.user.get( 'key-a' );
+        await saaslet.user.get( 'key-b' );
+        assert.equal( getReads(), 1 );
+    });
+
+    it('returns copies that can be changed without changing the cache', async function () {
+        const saaslet = createSaaslet();
+
+        ( await saaslet.user.get( 'ui' ) ).theme = 'dark';
+        ( await saaslet.user.getAll() ).ui.theme = 'dark';
+        assert.equal( await saaslet.user.get( 'ui.theme' ), 'light' );
+
+        await saaslet.user.set( 'ui.sidebar', true );
+        const write = requests.filter( request => request.method === 'POST' )[ 0 ];
+        assert.deepEqual( JSON.parse( write.body ), { data: { ui: { theme: 'light', sidebar: true } } } );
+    });
+
+    it('reloads once the ttl has passed', async function () {
+        const saaslet = createSaaslet({ cacheTtl: 5 });
+        await saaslet.user.get( 'key-a' );
+        await new Promise( resolve => setTimeout( resolve, 10 ) );
+        await saaslet.user.get( 'key-a' );
+        assert.equal( getReads(), 2 );
+    });
+
+    it('reloads on refresh', async function () {
+        const saaslet = createSaaslet();
+        await saaslet.user.getAll();
+        const info = await saaslet.user.refresh();
+        assert.equal( info.id, 'user-1' );
+        assert.equal( getReads(), 2 );
+    });
+
+    it('updates the cache optimistically on set and changeEmail', async function () {
+        const saaslet = createSaaslet();
+        await saaslet.user.getAll();
+        const write = saaslet.user.set( 'key-a', 'val-c' );
+        assert.equal( await saaslet.user.get( 'key-a' ), 'val-c' );
+        await write;
+        await saaslet.user.changeEmail( 'b@saaslet.baz', 'password-a' );
+        assert.equal( ( await saaslet.user.getInfo() ).email, 'b@saaslet.baz' );
+        assert.equal( saaslet.session.user.email, 'b@saaslet.baz' );
+        assert.equal( getReads(), 1 );
+    });
+
+    it('rolls back failed writes', async function () {
+        const saaslet = createSaaslet();
+        await saaslet.user.getAll();
+        failWrites = true;
+
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.set( 'key-a', 'val-c' );
+        } catch( e ) {
+            errorWasThrown = true;
+        }
+
+        assert.isTrue( errorWasThrown );
+        assert.equal( await saaslet.user.get( 'key-a' ), 'val-a' );
+        assert.equal( getReads(), 2 );
+    });
+
+    it('invalidates the cache on login and logout', async function () {
+        const saaslet = createSaaslet();
+        await saaslet.user.getAll();
+        await saaslet.user.logout();
+        await saaslet.user.getAll();
+        await saaslet.user.login( 'a@saaslet.baz', 'password-a' );
+        await saaslet.user.getAll();
+        assert.isAtLeast( getReads(), 3 );
+    });
+});
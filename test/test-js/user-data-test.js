@@ -0,0 +1,121 @@
+describe('it reads and writes user data', function () {
+    var saaslet;
+    var posts;
+
+    function createSaaslet() {
+        const user = { id: 'user-1', email: { address: 'a@saaslet.baz' }, data: { 'key-a': 'val-a', ui: { sidebar: { collapsed: false, width: 200 } } } };
+
+        posts = [];
+
+        return new Saaslet( 'data-app-key', {
+            retries: 0,
+            syncSession: false,
+            transport: request => {
+                if( request.method === 'POST' ) {
+                    posts.push( JSON.parse( request.body ) );
+                    return Promise.resolve({ status: 200, headers: {}, body: '{}' });
+                }
+
+                return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify({ user: user }) });
+            }
+        });
+    }
+
+    beforeEach(function () {
+        saaslet = createSaaslet();
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+    });
+
+    it('sets multiple keys with a single request', async function () {
+        const result = await saaslet.user.setMany({ 'key-b': 'val-b', 'key-c': 'val-c' });
+        assert.equal( result.status, 200 );
+        assert.deepEqual( posts, [{ data: { 'key-b': 'val-b', 'key-c': 'val-c' } }] );
+    });
+
+    it('batches writes made in quick succession', async function () {
+        await Promise.all([
+            saaslet.user.set( 'key-b', 'val-b' ),
+            saaslet.user.set( 'key-c', 'val-c' ),
+            saaslet.user.remove( 'key-a' )
+        ]);
+        assert.deepEqual( posts, [{ data: { 'key-b': 'val-b', 'key-c': 'val-c' }, remove: [ 'key-a' ] }] );
+    });
+
+    it('removes keys', async function () {
+        await saaslet.user.getAll();
+        await saaslet.user.remove( 'key-a' );
+        assert.deepEqual( posts, [{ data: {}, remove: [ 'key-a' ] }] );
+        assert.isUndefined( await saaslet.user.get( 'key-a' ) );
+    });
+
+    it('returns default values for missing keys', async function () {
+        assert.equal( await saaslet.user.get( 'key-a', 'default' ), 'val-a' );
+        assert.equal( await saaslet.user.get( 'key-x', 'default' ), 'default' );
+    });
+
+    it('reads and writes dotted paths', async function () {
+        assert.equal( await saaslet.user.get( 'ui.sidebar.width' ), 200 );
+        assert.isUndefined( await saaslet.user.get( 'ui.header.height' ) );
+        await saaslet.user.setMany({ 'ui.sidebar.collapsed': true, 'ui.header.height': 50 });
+        assert.deepEqual( posts, [{ data: { ui: { sidebar: { collapsed: true, width: 200 }, header: { height: 50 } } } }] );
+        assert.isTrue( await saaslet.user.get( 'ui.sidebar.collapsed' ) );
+        await saaslet.user.remove( 'ui.sidebar.width' );
+        assert.deepEqual( posts[ 1 ], { data: { ui: { sidebar: { collapsed: true }, header: { height: 50 } } } } );
+    });
+
+    it('validates values against schemas before sending them', async function () {
+        saaslet.user.defineSchema( 'ui.theme', { type: 'string', enum: [ 'light', 'dark' ], default: 'light' } );
+        saaslet.user.defineSchema( 'fontSize', { type: 'number', min: 8, max: 32 } );
+
+        var errorWasThrown = false;
+        try {
+            await saaslet.user.setMany({ 'ui.theme': 'dark', fontSize: 64 });
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.instanceOf( e, Saaslet.ValidationError );
+            assert.equal( e.message, 'fontSize must be at most 32' );
+            assert.equal( e.data.key, 'fontSize' );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.equal( posts.length, 0 );
+        assert.equal( await saaslet.user.get( 'ui.theme' ), 'light' );
+    });
+
+    it('validates the paths within values written to a parent key', async function () {
+        saaslet.user.defineSchema( 'ui.theme', { type: 'string', enum: [ 'light', 'dark' ] } );
+
+        const messages = [];
+        const writes = [
+            () => saaslet.user.set( 'ui', { theme: 'blue' } ),
+            () => saaslet.user.setMany({ ui: { theme: 'blue' } })
+        ];
+        for( var i = 0; i < writes.length; i++ ) {
+            try {
+                await writes[ i ]();
+            } catch( e ) {
+                messages.push( e.message );
+            }
+        }
+        assert.deepEqual( messages, [ 'ui.theme must be one of light, dark', 'ui.theme must be one of light, dark' ] );
+        assert.equal( posts.length, 0 );
+
+        await saaslet.user.set( 'ui', { sidebar: { collapsed: true } } );
+        assert.deepEqual( posts, [{ data: { ui: { sidebar: { collapsed: true } } } }] );
+    });
+
+    it('accepts schemas as constructor option', async function () {
+        const instance = new Saaslet( 'data-app-key', { syncSession: false, userSchemas: { 'key-a': { type: 'boolean' } } } );
+        var errorWasThrown = false;
+        try {
+            await instance.user.set( 'key-a', 'yes' );
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.message, 'key-a must be of type boolean' );
+        }
+        assert.isTrue( errorWasThrown );
+        instance.destroy();
+    });
+});
@@ -13,13 +13,20 @@ describe('it interacts with the user API', function () {
     var logoutEvents = 0;
     
     it('creates the saaslet instance', function () {
-        saaslet = new Saaslet( 'ZGV2X2N1c19oN3pEdHp2QTJjV3pOQzVkWEM0MTJvLmRldl9hcHBfWW90Rm9ITzdWek10RTkzR2gtVkxqbQ' );
+        saaslet = new Saaslet( 'ZGV2X2N1c19oN3pEdHp2QTJjV3pOQzVkWEM0MTJvLmRldl9hcHBfWW90Rm9ITzdWek10RTkzR2gtVkxqbQ', {
+            transport: new SaasletMockApi().transport,
+            syncSession: false
+        });
         assert.equal( typeof saaslet.user.login, 'function' );
         saaslet.on( 'signup', () => { signupEvents++; });
         saaslet.on( 'login', () => { loginEvents++; })
         saaslet.on( 'logout', () => { logoutEvents++; })
     });
 
+    after(function () {
+        saaslet.destroy();
+    });
+
     it( 'signs up with user a', async function(){
         assert.equal( signupEvents, 0 );
         userId = await saaslet.user.signup( userAEmail, 'password-a' );
@@ -34,6 +41,7 @@ describe('it interacts with the user API', function () {
                 assert.equal( 'it', 'should not get here' );
                 done();
             }).catch( e => {
+                assert.instanceOf( e, Saaslet.ConflictError );
                 assert.equal( e.data.error, 'user already exists' );
                 assert.equal( e.status, 409 );
                 done();
@@ -60,6 +68,7 @@ describe('it interacts with the user API', function () {
                 assert.equal( 'it', 'should not get here' );
                 done();
             }).catch( e => {
+                assert.instanceOf( e, Saaslet.AuthenticationError );
                 assert.equal( e.data.error, 'no session found' );
                 done();
             });
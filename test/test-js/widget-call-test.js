@@ -0,0 +1,106 @@
+describe('it calls widgets and correlates their responses', function () {
+
+    var saaslet, element;
+
+    beforeEach(function () {
+        saaslet = SaasletMockWidget.createSaaslet();
+        element = document.createElement( 'div' );
+        document.body.appendChild( element );
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+        element.remove();
+    });
+
+    it('resolves calls with the response carrying the same requestId', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element, null, null, null, { respond: false } );
+
+        const first = widget.call( 'getStep', { form: 'login' } );
+        const second = widget.call( 'getStep', { form: 'signup' } );
+        const requests = mock.messages.filter( message => message.action === 'getStep' );
+
+        assert.deepEqual( requests.map( request => request.data.form ), [ 'login', 'signup' ] );
+        assert.notEqual( requests[ 0 ].requestId, requests[ 1 ].requestId );
+
+        mock.post( 'response', 'step-2', { fields: { requestId: requests[ 1 ].requestId } } );
+        mock.post( 'response', 'step-1', { fields: { requestId: requests[ 0 ].requestId } } );
+
+        assert.deepEqual( await Promise.all([ first, second ]), [ 'step-1', 'step-2' ] );
+    });
+
+    it('rejects calls with the error sent by the widget', async function () {
+        const { widget } = await SaasletMockWidget.createReadyWidget( saaslet, element, null, null, null, {
+            respond: () => {
+                throw { code: 'unknown action', message: 'getStep is not supported' };
+            }
+        });
+
+        var errorWasThrown = false;
+        try {
+            await widget.call( 'getStep' );
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.instanceOf( e, Saaslet.WidgetError );
+            assert.equal( e.code, 'unknown action' );
+            assert.equal( e.message, 'getStep is not supported' );
+            assert.equal( e.action, 'getStep' );
+            assert.equal( e.widgetId, widget.id );
+        }
+        assert.isTrue( errorWasThrown );
+    });
+
+    it('times out calls the widget does not answer', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element, null, null, null, { respond: false } );
+
+        var errorWasThrown = false;
+        try {
+            await widget.call( 'getStep', null, { timeout: 10 } );
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.code, 'timeout' );
+        }
+        assert.isTrue( errorWasThrown );
+
+        // a late response is ignored
+        mock.post( 'response', 'step-1', { fields: { requestId: mock.messages.pop().requestId } } );
+        assert.deepEqual( widget._pendingCalls, {} );
+    });
+
+    it('sends calls made while loading once the widget is ready', async function () {
+        const created = saaslet.createWidget( 'signup-login', element );
+        const mock = SaasletMockWidget.latest( saaslet, { respond: action => action + ' done' } );
+        const call = mock.widget.call( 'getStep' );
+
+        assert.deepEqual( mock.received( 'getStep' ), [] );
+
+        mock.ready();
+        await created;
+        assert.equal( await call, 'getStep done' );
+    });
+
+    it('rejects pending and new calls if the widget fails to load', async function () {
+        saaslet.loadTimeout = 10;
+
+        const created = saaslet.createWidget( 'signup-login', element );
+        const mock = SaasletMockWidget.latest( saaslet );
+        const codes = [];
+
+        await Promise.all([ created, mock.widget.call( 'getStep', null, { timeout: 0 } ) ].map( promise => {
+            return promise.catch( e => codes.push( e.code ) );
+        }));
+        assert.deepEqual( codes, [ 'load timeout', 'load timeout' ] );
+        assert.deepEqual( mock.widget._pendingCalls, {} );
+
+        var errorWasThrown = false;
+        try {
+            await mock.widget.call( 'getStep' );
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.code, 'load timeout' );
+            assert.equal( e.action, 'getStep' );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.deepEqual( mock.received( 'getStep' ), [] );
+    });
+});
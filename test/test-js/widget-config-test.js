@@ -0,0 +1,71 @@
+describe('it keeps track of widget configs', function () {
+
+    var saaslet, element;
+
+    beforeEach(function () {
+        saaslet = SaasletMockWidget.createSaaslet();
+        element = document.createElement( 'div' );
+        document.body.appendChild( element );
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+        element.remove();
+    });
+
+    it('returns a copy of the initial config merged with all changes', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element, { loginButtonText: 'log in now', labels: { email: 'Email' } } );
+
+        await widget.setConfig({ signupButtonText: 'sign up now' });
+        assert.deepEqual( mock.received( 'setConfig' ), [
+            { loginButtonText: 'log in now', labels: { email: 'Email' } },
+            { signupButtonText: 'sign up now' }
+        ]);
+
+        const config = widget.getConfig();
+        config.labels.email = 'E-Mail';
+
+        assert.deepEqual( widget.getConfig(), { loginButtonText: 'log in now', labels: { email: 'Email' }, signupButtonText: 'sign up now' } );
+    });
+
+    it('resets the config to the initial config', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element, { loginButtonText: 'log in now' } );
+        const changes = [];
+
+        await widget.setConfig({ loginButtonText: 'log in', signupButtonText: 'sign up now' });
+        widget.onConfigChange(( config, previous ) => changes.push([ config, previous ]) );
+        await widget.resetConfig();
+
+        assert.deepEqual( widget.getConfig(), { loginButtonText: 'log in now' } );
+        assert.deepEqual( mock.received( 'replaceConfig' ), [ { loginButtonText: 'log in now' } ] );
+        assert.deepEqual( changes, [
+            [ { loginButtonText: 'log in now' }, { loginButtonText: 'log in', signupButtonText: 'sign up now' } ]
+        ]);
+    });
+
+    it('notifies config change listeners until they are removed', async function () {
+        const { widget } = await SaasletMockWidget.createReadyWidget( saaslet, element );
+        const changes = [];
+        const unsubscribe = widget.onConfigChange(( config, previous ) => changes.push([ config, previous ]) );
+
+        await widget.setConfig({ loginButtonText: 'log in now' });
+        unsubscribe();
+        await widget.setConfig({ loginButtonText: 'log in' });
+
+        assert.deepEqual( changes, [ [ { loginButtonText: 'log in now' }, {} ] ] );
+    });
+
+    it('keeps changes made while loading and sends them once the widget is ready', async function () {
+        const created = saaslet.createWidget( 'signup-login', element, { loginButtonText: 'log in now' } );
+        const mock = SaasletMockWidget.latest( saaslet );
+        const change = mock.widget.setConfig({ loginButtonText: 'log in', signupButtonText: 'sign up now' });
+
+        assert.deepEqual( mock.widget.getConfig(), { loginButtonText: 'log in', signupButtonText: 'sign up now' } );
+        assert.deepEqual( mock.messages, [] );
+
+        mock.ready();
+        await Promise.all([ created, change ]);
+        assert.deepEqual( mock.received( 'setConfig' ), [ { loginButtonText: 'log in now' }, { loginButtonText: 'log in', signupButtonText: 'sign up now' } ] );
+        assert.deepEqual( mock.widget.getConfig(), { loginButtonText: 'log in', signupButtonText: 'sign up now' } );
+    });
+});
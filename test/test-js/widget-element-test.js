@@ -0,0 +1,121 @@
+describe('it provides widgets as <saaslet-widget> element', function () {
+
+    var root;
+
+    function createElement( attributes ) {
+        const element = document.createElement( 'saaslet-widget' );
+
+        Object.keys( attributes ).forEach( name => element.setAttribute( name, attributes[ name ] ) );
+        return element;
+    }
+
+    async function mountElement( attributes ) {
+        const element = createElement( attributes );
+
+        root.appendChild( element );
+
+        const mock = new SaasletMockWidget( element.widget );
+        mock.ready();
+        await mock.widget._readyPromise;
+
+        return { element: element, mock: mock };
+    }
+
+    beforeEach(function () {
+        root = document.createElement( 'div' );
+        document.body.appendChild( root );
+    });
+
+    afterEach(function () {
+        root.remove();
+    });
+
+    it('mounts a widget and dispatches its events', async function () {
+        const events = [];
+
+        root.addEventListener( 'saaslet-success', event => events.push( event.detail ) );
+
+        const { element, mock } = await mountElement({
+            'name': 'signup-login',
+            'app-key': 'element-key',
+            'config': '{"loginButtonText":"log in now"}',
+            'css': 'body { color: red; }'
+        });
+        await new Promise( resolve => setTimeout( resolve, 0 ) );
+
+        assert.equal( mock.widget.name, 'signup-login' );
+        assert.equal( element.saaslet.appPublishableKey, 'element-key' );
+        assert.strictEqual( mock.widget.iFrame.parentNode, element );
+        assert.deepEqual( mock.received( 'setConfig' ), [ { loginButtonText: 'log in now' } ] );
+        assert.deepEqual( mock.received( 'setCss' ), [ { id: 'saaslet-widget', css: 'body { color: red; }' } ] );
+
+        mock.post( 'success', { userId: 'user-1' } );
+        assert.deepEqual( events, [ { userId: 'user-1' } ] );
+    });
+
+    it('applies changes of the config and css attributes', async function () {
+        const { element, mock } = await mountElement({ 'name': 'signup-login', 'app-key': 'element-key' });
+
+        element.setAttribute( 'config', '{"loginButtonText":"log in now"}' );
+        element.setAttribute( 'css', 'body { color: red; }' );
+        element.removeAttribute( 'css' );
+
+        assert.deepEqual( mock.received( 'replaceConfig' ), [ { loginButtonText: 'log in now' } ] );
+        assert.deepEqual( mock.received( 'setCss' ), [ { id: 'saaslet-widget', css: 'body { color: red; }' } ] );
+        assert.deepEqual( mock.received( 'removeCss' ), [ { id: 'saaslet-widget' } ] );
+    });
+
+    it('removes config keys that are dropped from the config attribute', async function () {
+        const { element, mock } = await mountElement({
+            'name': 'signup-login',
+            'app-key': 'element-key',
+            'config': '{"loginButtonText":"log in now","signupButtonText":"sign up now"}'
+        });
+
+        element.setAttribute( 'config', '{"loginButtonText":"log in"}' );
+        assert.deepEqual( mock.widget.getConfig(), { loginButtonText: 'log in' } );
+
+        element.removeAttribute( 'config' );
+        assert.deepEqual( mock.widget.getConfig(), {} );
+        assert.deepEqual( mock.received( 'replaceConfig' ), [ { loginButtonText: 'log in' }, {} ] );
+    });
+
+    it('remounts if the name changes and destroys the widget once removed', async function () {
+        const { element, mock } = await mountElement({ 'name': 'signup-login', 'app-key': 'element-key' });
+        const saaslet = element.saaslet;
+
+        element.setAttribute( 'name', 'payment' );
+        assert.isNull( saaslet.getWidget( mock.widget.id ) );
+        assert.equal( element.widget.name, 'payment' );
+        assert.equal( element.querySelectorAll( 'iframe' ).length, 1 );
+
+        const widget = element.widget;
+        element.remove();
+        assert.isNull( element.widget );
+        assert.isNull( saaslet.getWidget( widget.id ) );
+        assert.equal( element.querySelectorAll( 'iframe' ).length, 0 );
+    });
+
+    it('shares a Saaslet instance between elements with the same app key', function () {
+        const first = createElement({ 'name': 'signup-login', 'app-key': 'element-key' });
+        const second = createElement({ 'name': 'payment', 'app-key': 'element-key' });
+        const third = createElement({ 'name': 'payment', 'app-key': 'other-element-key' });
+
+        root.appendChild( first );
+        root.appendChild( second );
+        root.appendChild( third );
+
+        assert.strictEqual( first.saaslet, second.saaslet );
+        assert.notStrictEqual( first.saaslet, third.saaslet );
+    });
+
+    it('waits for name and app key before mounting', function () {
+        const element = createElement({ 'name': 'signup-login' });
+
+        root.appendChild( element );
+        assert.isNull( element.widget );
+
+        element.setAttribute( 'app-key', 'element-key' );
+        assert.equal( element.widget.name, 'signup-login' );
+    });
+});
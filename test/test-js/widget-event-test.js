@@ -0,0 +1,52 @@
+describe('it emits the messages widgets send as events', function () {
+
+    var saaslet, element;
+
+    beforeEach(function () {
+        saaslet = SaasletMockWidget.createSaaslet();
+        element = document.createElement( 'div' );
+        document.body.appendChild( element );
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+        element.remove();
+    });
+
+    it('emits messages on the widget and prefixed on Saaslet', async function () {
+        const created = saaslet.createWidget( 'signup-login', element );
+        const mock = SaasletMockWidget.latest( saaslet );
+        const events = [];
+
+        saaslet.on( 'widget:ready', ( data, widget ) => events.push([ 'saaslet ready', widget ]) );
+        mock.ready();
+
+        const widget = await created;
+        widget.on( 'success', data => events.push([ 'widget success', data ]) );
+        saaslet.on( 'widget:success', ( data, widget ) => events.push([ 'saaslet success', data, widget ]) );
+        mock.post( 'success', { userId: 'user-1' } );
+
+        assert.deepEqual( events, [
+            [ 'saaslet ready', widget ],
+            [ 'widget success', { userId: 'user-1' } ],
+            [ 'saaslet success', { userId: 'user-1' }, widget ]
+        ]);
+    });
+
+    it('does not let widgets trigger events of Saaslet', async function () {
+        const created = saaslet.createWidget( 'signup-login', element );
+        const mock = SaasletMockWidget.latest( saaslet );
+        const events = [];
+
+        mock.ready();
+        await created;
+
+        [ 'login', 'signup', 'logout', 'sessionchange', 'subscriptionchange' ].forEach( eventName => {
+            saaslet.on( eventName, () => events.push( eventName ) );
+            saaslet.on( 'widget:' + eventName, () => events.push( 'widget:' + eventName ) );
+            mock.post( eventName, 'not a session change' );
+        });
+
+        assert.deepEqual( events, [ 'widget:login', 'widget:signup', 'widget:logout', 'widget:sessionchange', 'widget:subscriptionchange' ] );
+    });
+});
@@ -0,0 +1,115 @@
+describe('it destroys, reloads and moves widgets', function () {
+
+    var saaslet, element, other;
+
+    beforeEach(function () {
+        saaslet = SaasletMockWidget.createSaaslet();
+        element = document.createElement( 'div' );
+        other = document.createElement( 'div' );
+        document.body.appendChild( element );
+        document.body.appendChild( other );
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+        element.remove();
+        other.remove();
+    });
+
+    it('removes a destroyed widget and rejects its pending calls', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element );
+
+        mock.respond = false;
+        const call = widget.call( 'getStep' );
+        widget.destroy();
+
+        var errorWasThrown = false;
+        try {
+            await call;
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.code, 'destroyed' );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.isNull( saaslet.getWidget( widget.id ) );
+        assert.isNull( widget.iFrame.parentNode );
+    });
+
+    it('reloads the iframe and replays config and css', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element, { loginButtonText: 'log in now' }, 'body { color: red; }' );
+
+        await widget.setConfig({ signupButtonText: 'sign up now' });
+        mock.messages = [];
+
+        const reloaded = widget.reload();
+        assert.equal( widget.state, 'loading' );
+
+        mock.ready();
+        assert.strictEqual( await reloaded, widget );
+        assert.deepEqual( mock.received( 'replaceConfig' ), [ { loginButtonText: 'log in now', signupButtonText: 'sign up now' } ] );
+        assert.deepEqual( mock.received( 'setCss' ), [ { id: 'saaslet-widget', css: 'body { color: red; }' } ] );
+    });
+
+    it('replays config and css if the iframe reloads by itself', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element, { loginButtonText: 'log in now' }, 'body { color: red; }' );
+
+        mock.messages = [];
+        mock.ready();
+        await new Promise( resolve => setTimeout( resolve, 10 ) );
+
+        assert.equal( widget.state, 'ready' );
+        assert.deepEqual( mock.received( 'replaceConfig' ), [ { loginButtonText: 'log in now' } ] );
+        assert.deepEqual( mock.received( 'setCss' ), [ { id: 'saaslet-widget', css: 'body { color: red; }' } ] );
+    });
+
+    it('moves the widget into another element', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element, { loginButtonText: 'log in now' } );
+
+        mock.messages = [];
+        const moved = widget.moveTo( other );
+
+        assert.strictEqual( widget.iFrame.parentNode, other );
+        assert.equal( element.children.length, 0 );
+
+        mock.ready();
+        await moved;
+        assert.deepEqual( mock.received( 'replaceConfig' ), [ { loginButtonText: 'log in now' } ] );
+
+        var errorWasThrown = false;
+        try {
+            await widget.moveTo( '#missing-element' );
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.code, 'element not found' );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.strictEqual( widget.iFrame.parentNode, other );
+        assert.equal( widget.state, 'ready' );
+    });
+
+    it('destroys all widgets with Saaslet', async function () {
+        const first = await SaasletMockWidget.createReadyWidget( saaslet, element );
+        const second = await SaasletMockWidget.createReadyWidget( saaslet, element );
+
+        saaslet.destroy();
+
+        assert.deepEqual( saaslet.activeWidgets, {} );
+        assert.equal( element.querySelectorAll( 'iframe' ).length, 0 );
+        assert.notInclude( Saaslet.getInstances(), saaslet );
+        assert.isNull( first.widget.iFrame.parentNode );
+        assert.isNull( second.widget.iFrame.parentNode );
+    });
+
+    it('does not mount widgets once the DOM is loaded if Saaslet was destroyed before', function () {
+        Object.defineProperty( document, 'readyState', { value: 'loading', configurable: true } );
+        const instance = SaasletMockWidget.createSaaslet({ autoMount: true });
+        delete document.readyState;
+
+        element.setAttribute( 'data-saaslet', 'signup-login' );
+        instance.destroy();
+        document.dispatchEvent( new Event( 'DOMContentLoaded' ) );
+
+        assert.deepEqual( instance.activeWidgets, {} );
+        assert.isNull( instance._mutationObserver );
+    });
+});
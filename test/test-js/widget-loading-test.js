@@ -0,0 +1,160 @@
+describe('it loads widgets lazily, when idle and with placeholders', function () {
+
+    var saaslet, element, observers, idleCallbacks, originals;
+
+    class FakeIntersectionObserver{
+        constructor( callback, options ) {
+            this.callback = callback;
+            this.options = options;
+            this.observed = [];
+            this.disconnected = false;
+            observers.push( this );
+        }
+
+        observe( target ) {
+            this.observed.push( target );
+        }
+
+        disconnect() {
+            this.disconnected = true;
+        }
+    }
+
+    function wait( ms ) {
+        return new Promise( resolve => setTimeout( resolve, ms ) );
+    }
+
+    beforeEach(function () {
+        observers = [];
+        idleCallbacks = [];
+        originals = {
+            IntersectionObserver: window.IntersectionObserver,
+            requestIdleCallback: window.requestIdleCallback,
+            cancelIdleCallback: window.cancelIdleCallback
+        };
+        window.IntersectionObserver = FakeIntersectionObserver;
+        window.requestIdleCallback = callback => idleCallbacks.push( callback );
+        window.cancelIdleCallback = handle => { idleCallbacks[ handle - 1 ] = null; };
+
+        saaslet = SaasletMockWidget.createSaaslet();
+        element = document.createElement( 'div' );
+        document.body.appendChild( element );
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+        element.remove();
+        Object.keys( originals ).forEach( name => { window[ name ] = originals[ name ]; } );
+    });
+
+    it('loads lazy widgets once their element is about to become visible', function () {
+        saaslet.createWidget( 'signup-login', element, null, null, { loading: 'lazy' } ).catch(() => {} );
+        const widget = SaasletMockWidget.latest( saaslet ).widget;
+        const observer = observers[ 0 ];
+
+        assert.isFalse( widget.loaded );
+        assert.isFalse( widget.iFrame.hasAttribute( 'src' ) );
+        assert.strictEqual( observer.observed[ 0 ], element );
+        assert.equal( observer.options.rootMargin, '200px' );
+
+        observer.callback([ { isIntersecting: false } ]);
+        assert.isFalse( widget.loaded );
+
+        observer.callback([ { isIntersecting: true } ]);
+        assert.isTrue( widget.loaded );
+        assert.equal( widget.iFrame.getAttribute( 'src' ), widget.url );
+        assert.isTrue( observer.disconnected );
+    });
+
+    it('starts the load timeout once the widget is loading', async function () {
+        const created = saaslet.createWidget( 'signup-login', element, null, null, { loading: 'lazy', loadTimeout: 10 } );
+        const widget = SaasletMockWidget.latest( saaslet ).widget;
+
+        await wait( 30 );
+        assert.equal( widget.state, 'loading' );
+
+        widget.load();
+
+        var errorWasThrown = false;
+        try {
+            await created;
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.code, 'load timeout' );
+        }
+        assert.isTrue( errorWasThrown );
+    });
+
+    it('loads idle widgets once the browser is idle and cancels loading on destroy', function () {
+        saaslet.createWidget( 'signup-login', element, null, null, { loading: 'idle' } ).catch(() => {} );
+        saaslet.createWidget( 'payment', element, null, null, { loading: 'idle' } ).catch(() => {} );
+        const widgets = Object.keys( saaslet.activeWidgets ).map( widgetId => saaslet.activeWidgets[ widgetId ] );
+
+        assert.isFalse( widgets[ 0 ].loaded );
+        idleCallbacks[ 0 ]();
+        assert.isTrue( widgets[ 0 ].loaded );
+
+        widgets[ 1 ].destroy();
+        assert.isNull( idleCallbacks[ 1 ] );
+        assert.isFalse( widgets[ 1 ].loaded );
+    });
+
+    it('shows a placeholder until the widget is ready', async function () {
+        const created = saaslet.createWidget( 'signup-login', element, null, null, { placeholder: '<p>Loading</p>' } );
+        const mock = SaasletMockWidget.latest( saaslet );
+        const placeholder = element.querySelector( '.saaslet-placeholder' );
+
+        assert.equal( placeholder.innerHTML, '<p>Loading</p>' );
+        assert.equal( placeholder.getAttribute( 'aria-busy' ), 'true' );
+        assert.equal( mock.widget.iFrame.style.display, 'none' );
+
+        mock.ready();
+        await created;
+        assert.isNull( element.querySelector( '.saaslet-placeholder' ) );
+        assert.equal( mock.widget.iFrame.style.display, 'block' );
+    });
+
+    it('removes the placeholder if the widget fails to load', async function () {
+        const created = saaslet.createWidget( 'signup-login', element, null, null, { placeholder: true, loadTimeout: 10 } );
+        const widget = SaasletMockWidget.latest( saaslet ).widget;
+
+        await created.catch(() => {} );
+        assert.equal( widget.state, 'error' );
+        assert.isNull( element.querySelector( '.saaslet-placeholder' ) );
+        assert.equal( widget.iFrame.style.display, 'block' );
+    });
+
+    it('prefetches the url the widget is loaded from', function () {
+        saaslet.preload( 'payment' );
+        saaslet.preload( 'payment' );
+        saaslet.createWidget( 'payment', element ).catch(() => {} );
+
+        const widget = SaasletMockWidget.latest( saaslet ).widget;
+        const prefetch = document.head.querySelectorAll( 'link[rel="prefetch"]' );
+        const preconnect = document.head.querySelectorAll( 'link[rel="preconnect"]' );
+
+        assert.lengthOf( prefetch, 1 );
+        assert.equal( prefetch[ 0 ].href, widget.iFrame.src.split( '#' )[ 0 ] );
+        assert.equal( widget.iFrame.src.split( '#' )[ 1 ], 'widgetId=' + widget.id );
+        assert.equal( preconnect[ 0 ].href, widget.origin + '/' );
+
+        Array.prototype.forEach.call( prefetch, link => link.remove() );
+        Array.prototype.forEach.call( preconnect, link => link.remove() );
+    });
+
+    it('reloads by inserting the iframe again, as its src only differs in the fragment', async function () {
+        saaslet.createWidget( 'signup-login', element ).catch(() => {} );
+        const widget = SaasletMockWidget.latest( saaslet ).widget;
+        const records = [];
+        const observer = new MutationObserver( mutations => records.push.apply( records, mutations ) );
+
+        observer.observe( element, { childList: true } );
+        widget.reload().catch(() => {} );
+        await wait( 0 );
+        observer.disconnect();
+
+        assert.strictEqual( records[ 0 ].removedNodes[ 0 ], widget.iFrame );
+        assert.strictEqual( records[ 1 ].addedNodes[ 0 ], widget.iFrame );
+        assert.strictEqual( element.lastChild, widget.iFrame );
+    });
+});
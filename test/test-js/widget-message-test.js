@@ -0,0 +1,77 @@
+describe('it only accepts valid messages from the widget\'s iframe', function () {
+
+    var saaslet, element, mock, reached;
+
+    beforeEach(async function () {
+        saaslet = SaasletMockWidget.createSaaslet();
+        element = document.createElement( 'div' );
+        document.body.appendChild( element );
+
+        const created = saaslet.createWidget( 'signup-login', element );
+        mock = SaasletMockWidget.latest( saaslet );
+        mock.ready();
+
+        const widget = await created;
+        reached = [];
+        widget._onResize = () => reached.push( 'resize' );
+        widget.on( '*', eventName => reached.push( 'widget ' + eventName ) );
+        saaslet.on( '*', eventName => reached.push( 'saaslet ' + eventName ) );
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+        element.remove();
+    });
+
+    it('accepts valid messages', function () {
+        mock.post( 'resize', { width: 300, height: 200 } );
+        mock.post( 'submit', { form: 'login' } );
+
+        assert.deepEqual( reached, [ 'resize', 'widget resize', 'saaslet widget:resize', 'widget submit', 'saaslet widget:submit' ] );
+    });
+
+    it('drops messages from other origins', function () {
+        mock.post( 'resize', { width: 300, height: 200 }, { origin: 'https://evil.example.com' } );
+        mock.post( 'submit', { form: 'login' }, { origin: 'https://evil.example.com' } );
+
+        assert.deepEqual( reached, [] );
+    });
+
+    it('drops messages that were not sent by the widget\'s iframe', function () {
+        const other = document.createElement( 'iframe' );
+        document.body.appendChild( other );
+
+        mock.post( 'resize', { width: 300, height: 200 }, { source: window } );
+        mock.post( 'submit', { form: 'login' }, { source: other.contentWindow } );
+        other.remove();
+
+        assert.deepEqual( reached, [] );
+    });
+
+    it('drops messages for unknown widgets', function () {
+        mock.post( 'resize', { width: 300, height: 200 }, { fields: { widgetId: mock.widget.id + '0' } } );
+        mock.post( 'submit', { form: 'login' }, { fields: { widgetId: 'wid_0' } } );
+
+        assert.deepEqual( reached, [] );
+    });
+
+    it('drops messages that do not match their schema', async function () {
+        mock.respond = false;
+
+        const call = mock.widget.call( 'getStep', null, { timeout: 20 } );
+
+        mock.post( 'resize', { width: '300px', height: 200 } );
+        mock.post( 'resize', null );
+        mock.post( 'response', 'step-1', { fields: { requestId: String( mock.messages.pop().requestId ) } } );
+
+        var errorWasThrown = false;
+        try {
+            await call;
+        } catch( e ) {
+            errorWasThrown = true;
+            assert.equal( e.code, 'timeout' );
+        }
+        assert.isTrue( errorWasThrown );
+        assert.deepEqual( reached, [] );
+    });
+});
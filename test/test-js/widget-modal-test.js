@@ -0,0 +1,120 @@
+describe('it opens widgets in a modal dialog', function () {
+
+    var saaslet;
+
+    function openWidget( options ) {
+        const opened = saaslet.openWidget( 'signup-login', { loginButtonText: 'log in now' }, Object.assign( { animation: 'none', label: 'Log in' }, options ) );
+        const mock = SaasletMockWidget.latest( saaslet );
+
+        return { opened: opened, mock: mock };
+    }
+
+    beforeEach(function () {
+        saaslet = SaasletMockWidget.createSaaslet();
+    });
+
+    afterEach(async function () {
+        saaslet.destroy();
+        // waits for open dialogs to be removed
+        await SaasletMockWidget.nextTick();
+    });
+
+    it('shows an accessible dialog and closes it with the data of success', async function () {
+        const { opened, mock } = openWidget();
+        const dialog = mock.widget.iFrame.parentNode;
+
+        assert.equal( dialog.getAttribute( 'role' ), 'dialog' );
+        assert.equal( dialog.getAttribute( 'aria-modal' ), 'true' );
+        assert.equal( dialog.getAttribute( 'aria-label' ), 'Log in' );
+        assert.equal( dialog.className, 'saaslet-modal' );
+        assert.equal( document.body.style.overflow, 'hidden' );
+
+        mock.ready();
+        await SaasletMockWidget.nextTick();
+        assert.deepEqual( mock.received( 'setConfig' ), [ { loginButtonText: 'log in now' } ] );
+        assert.isTrue( dialog.contains( document.activeElement ) );
+
+        mock.post( 'success', { userId: 'user-1' } );
+        assert.deepEqual( await opened, { userId: 'user-1' } );
+
+        await SaasletMockWidget.nextTick();
+        assert.isNull( document.querySelector( '.saaslet-modal-backdrop' ) );
+        assert.equal( document.body.style.overflow, '' );
+        assert.isNull( saaslet.getWidget( mock.widget.id ) );
+    });
+
+    it('is dismissed via Escape and the backdrop', async function () {
+        const dismiss = [
+            () => document.dispatchEvent( new KeyboardEvent( 'keydown', { key: 'Escape', bubbles: true } ) ),
+            () => document.querySelector( '.saaslet-modal-backdrop' ).dispatchEvent( new MouseEvent( 'click', { bubbles: true } ) )
+        ];
+
+        for( var i = 0; i < dismiss.length; i++ ) {
+            const { opened, mock } = openWidget();
+
+            mock.ready();
+            dismiss[ i ]( mock );
+
+            const error = await SaasletMockWidget.getError( opened );
+            assert.instanceOf( error, Saaslet.WidgetError );
+            assert.equal( error.code, 'dismissed' );
+            await SaasletMockWidget.nextTick();
+            assert.isNull( document.querySelector( '.saaslet-modal-backdrop' ) );
+        }
+    });
+
+    it('is dismissed via the close message the focused widget posts for Escape', async function () {
+        const { opened, mock } = openWidget();
+
+        mock.ready();
+        await SaasletMockWidget.nextTick();
+        assert.strictEqual( document.activeElement, mock.widget.iFrame );
+
+        // keydown events within the iframe don't reach the parent's document
+        mock.post( 'close' );
+
+        assert.equal( ( await SaasletMockWidget.getError( opened ) ).code, 'dismissed' );
+        await SaasletMockWidget.nextTick();
+        assert.isNull( document.querySelector( '.saaslet-modal-backdrop' ) );
+    });
+
+    it('ignores clicks within the dialog', async function () {
+        const { opened, mock } = openWidget();
+        var dismissed = false;
+
+        opened.catch(() => { dismissed = true; } );
+        mock.widget.iFrame.parentNode.dispatchEvent( new MouseEvent( 'click', { bubbles: true } ) );
+        await SaasletMockWidget.nextTick();
+
+        assert.isFalse( dismissed );
+        assert.isNotNull( document.querySelector( '.saaslet-modal-backdrop' ) );
+    });
+
+    it('keeps the focus within the dialog', function () {
+        const button = document.createElement( 'button' );
+        document.body.appendChild( button );
+
+        const { opened, mock } = openWidget();
+
+        opened.catch(() => {} );
+        button.focus();
+
+        assert.isTrue( mock.widget.iFrame.parentNode.contains( document.activeElement ) );
+        button.remove();
+    });
+
+    it('rejects with the error that prevented the widget from loading', async function () {
+        const { opened } = openWidget({ loadTimeout: 10 });
+
+        assert.equal( ( await SaasletMockWidget.getError( opened ) ).code, 'load timeout' );
+        await SaasletMockWidget.nextTick();
+        assert.isNull( document.querySelector( '.saaslet-modal-backdrop' ) );
+    });
+
+    it('closes open dialogs when Saaslet is destroyed', async function () {
+        const { opened } = openWidget();
+
+        saaslet.destroy();
+        assert.equal( ( await SaasletMockWidget.getError( opened ) ).code, 'destroyed' );
+    });
+});
@@ -0,0 +1,85 @@
+describe('it mounts widgets for elements with data attributes', function () {
+
+    var saaslet, root;
+
+    function createElement( attributes ) {
+        const element = document.createElement( 'div' );
+
+        Object.keys( attributes ).forEach( name => element.setAttribute( name, attributes[ name ] ) );
+        return element;
+    }
+
+    function getWidgets() {
+        return Object.keys( saaslet.activeWidgets ).map( widgetId => saaslet.activeWidgets[ widgetId ] );
+    }
+
+    beforeEach(function () {
+        saaslet = SaasletMockWidget.createSaaslet();
+        root = document.createElement( 'div' );
+        document.body.appendChild( root );
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+        root.remove();
+    });
+
+    it('mounts existing elements with their config and css', async function () {
+        const element = createElement({
+            'data-saaslet': 'signup-login',
+            'data-saaslet-config': '{"loginButtonText":"log in now"}',
+            'data-saaslet-css': 'body { color: red; }'
+        });
+        root.appendChild( element );
+
+        saaslet.autoMount( root );
+        const mock = SaasletMockWidget.latest( saaslet );
+        mock.ready();
+        await SaasletMockWidget.nextTick();
+
+        assert.equal( getWidgets().length, 1 );
+        assert.equal( mock.widget.name, 'signup-login' );
+        assert.strictEqual( mock.widget.iFrame.parentNode, element );
+        assert.deepEqual( mock.received( 'setConfig' ), [ { loginButtonText: 'log in now' } ] );
+        assert.deepEqual( mock.received( 'setCss' ), [ { id: 'saaslet-widget', css: 'body { color: red; }' } ] );
+
+        // scanning again doesn't mount the element twice
+        saaslet.autoMount( root );
+        assert.equal( getWidgets().length, 1 );
+    });
+
+    it('mounts added elements and destroys the widgets of removed elements', async function () {
+        const wrapper = document.createElement( 'div' );
+
+        saaslet.autoMount( root );
+        wrapper.appendChild( createElement({ 'data-saaslet': 'payment' }) );
+        root.appendChild( wrapper );
+        root.appendChild( createElement({ 'data-saaslet': 'signup-login' }) );
+        await SaasletMockWidget.nextTick();
+
+        assert.deepEqual( getWidgets().map( widget => widget.name ), [ 'payment', 'signup-login' ] );
+
+        wrapper.remove();
+        await SaasletMockWidget.nextTick();
+        assert.deepEqual( getWidgets().map( widget => widget.name ), [ 'signup-login' ] );
+    });
+
+    it('ignores elements with invalid config', function () {
+        root.appendChild( createElement({ 'data-saaslet': 'signup-login', 'data-saaslet-config': '{loginButtonText:' }) );
+
+        saaslet.autoMount( root );
+        assert.equal( getWidgets().length, 0 );
+    });
+
+    it('stops mounting added elements', async function () {
+        saaslet.autoMount( root );
+        root.appendChild( createElement({ 'data-saaslet': 'signup-login' }) );
+        await SaasletMockWidget.nextTick();
+
+        saaslet.stopAutoMount();
+        root.appendChild( createElement({ 'data-saaslet': 'payment' }) );
+        await SaasletMockWidget.nextTick();
+
+        assert.deepEqual( getWidgets().map( widget => widget.name ), [ 'signup-login' ] );
+    });
+});
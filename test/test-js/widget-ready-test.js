@@ -0,0 +1,100 @@
+describe('it waits for widgets to become ready', function () {
+
+    var saaslet, element;
+
+    function recordErrors( widget ) {
+        const errors = [];
+
+        widget.on( 'error', error => errors.push( error ) );
+        saaslet.on( 'widget:error', error => errors.push( error ) );
+
+        return errors;
+    }
+
+    beforeEach(function () {
+        saaslet = SaasletMockWidget.createSaaslet();
+        element = document.createElement( 'div' );
+        document.body.appendChild( element );
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+        element.remove();
+    });
+
+    it('resolves once the widget is ready and applied config and css', async function () {
+        var resolved = false;
+        const created = saaslet.createWidget( 'signup-login', element, { loginButtonText: 'log in now' }, 'body { color: red; }' );
+        const mock = SaasletMockWidget.latest( saaslet );
+
+        created.then(() => { resolved = true; });
+        await new Promise( resolve => setTimeout( resolve, 10 ) );
+        assert.isFalse( resolved );
+        assert.equal( mock.widget.state, 'loading' );
+        assert.deepEqual( mock.messages, [] );
+
+        mock.ready();
+        assert.strictEqual( await created, mock.widget );
+        assert.equal( mock.widget.state, 'ready' );
+        assert.deepEqual( mock.received( 'setConfig' ), [ { loginButtonText: 'log in now' } ] );
+        assert.deepEqual( mock.received( 'setCss' ), [ { id: 'saaslet-widget', css: 'body { color: red; }' } ] );
+    });
+
+    it('rejects with the error the widget reports while booting', async function () {
+        const created = saaslet.createWidget( 'signup-login', element );
+        const mock = SaasletMockWidget.latest( saaslet );
+        const errors = recordErrors( mock.widget );
+
+        mock.post( 'error', { code: 'invalid app key', message: 'The app key is not valid' } );
+
+        const error = await SaasletMockWidget.getError( created );
+        assert.instanceOf( error, Saaslet.WidgetError );
+        assert.equal( error.code, 'invalid app key' );
+        assert.equal( error.message, 'The app key is not valid' );
+        assert.equal( error.widgetId, mock.widget.id );
+        assert.equal( mock.widget.state, 'error' );
+        assert.strictEqual( mock.widget.error, error );
+        assert.deepEqual( errors, [ error, error ] );
+    });
+
+    it('rejects if the widget does not become ready within the load timeout', async function () {
+        const created = saaslet.createWidget( 'signup-login', element, null, null, { loadTimeout: 10 } );
+        const mock = SaasletMockWidget.latest( saaslet );
+        const errors = recordErrors( mock.widget );
+
+        const error = await SaasletMockWidget.getError( created );
+        assert.equal( error.code, 'load timeout' );
+        assert.deepEqual( errors, [ error, error ] );
+
+        // a widget that becomes ready late recovers
+        mock.ready();
+        assert.equal( mock.widget.state, 'ready' );
+        assert.isNull( mock.widget.error );
+    });
+
+    it('rejects without emitting error if the widget is destroyed before it is ready', async function () {
+        const created = saaslet.createWidget( 'signup-login', element );
+        const mock = SaasletMockWidget.latest( saaslet );
+        const errors = recordErrors( mock.widget );
+
+        mock.widget.destroy();
+
+        assert.equal( ( await SaasletMockWidget.getError( created ) ).code, 'destroyed' );
+        assert.deepEqual( errors, [] );
+        assert.equal( element.querySelectorAll( 'iframe' ).length, 0 );
+    });
+
+    it('rejects without emitting error if the widget is reloaded before it is ready', async function () {
+        const created = saaslet.createWidget( 'signup-login', element );
+        const mock = SaasletMockWidget.latest( saaslet );
+        const errors = recordErrors( mock.widget );
+        const reloaded = mock.widget.reload();
+
+        assert.equal( ( await SaasletMockWidget.getError( created ) ).code, 'reloaded' );
+        assert.equal( mock.widget.state, 'loading' );
+
+        mock.ready();
+        assert.strictEqual( await reloaded, mock.widget );
+        assert.deepEqual( errors, [] );
+    });
+});
@@ -0,0 +1,69 @@
+describe('it routes widget messages to the instance that created the widget', function () {
+
+    var first, second, element;
+
+    beforeEach(function () {
+        first = SaasletMockWidget.createSaaslet();
+        second = SaasletMockWidget.createSaaslet();
+        element = document.createElement( 'div' );
+        document.body.appendChild( element );
+    });
+
+    afterEach(function () {
+        first.destroy();
+        second.destroy();
+        element.remove();
+    });
+
+    it('namespaces widget ids per instance', async function () {
+        const a = await SaasletMockWidget.createReadyWidget( first, element );
+        const b = await SaasletMockWidget.createReadyWidget( second, element );
+
+        assert.notEqual( first.id, second.id );
+        assert.equal( a.widget.id.indexOf( first.id + '_' ), 0 );
+        assert.equal( b.widget.id.indexOf( second.id + '_' ), 0 );
+        assert.isNull( first.getWidget( b.widget.id ) );
+        assert.strictEqual( second.getWidget( b.widget.id ), b.widget );
+    });
+
+    it('hands messages to the owning instance only', async function () {
+        const a = await SaasletMockWidget.createReadyWidget( first, element );
+        const b = await SaasletMockWidget.createReadyWidget( second, element );
+        const events = [];
+
+        first.on( 'widget:success', ( data, widget ) => events.push([ 'first', widget.id ]) );
+        second.on( 'widget:success', ( data, widget ) => events.push([ 'second', widget.id ]) );
+
+        b.mock.post( 'success' );
+        a.mock.post( 'success' );
+
+        assert.deepEqual( events, [ [ 'second', b.widget.id ], [ 'first', a.widget.id ] ] );
+    });
+
+    it('keeps routing messages after another instance is destroyed', async function () {
+        const b = await SaasletMockWidget.createReadyWidget( second, element );
+        const events = [];
+
+        await SaasletMockWidget.createReadyWidget( first, element );
+        first.destroy();
+
+        b.widget.on( 'success', () => events.push( 'success' ) );
+        b.mock.post( 'success' );
+
+        assert.deepEqual( events, [ 'success' ] );
+    });
+
+    it('lists the instances that have not been destroyed', function () {
+        const instances = Saaslet.getInstances();
+
+        assert.isAbove( instances.indexOf( second ), instances.indexOf( first ) );
+        assert.isAbove( instances.indexOf( first ), -1 );
+
+        instances.length = 0;
+        assert.include( Saaslet.getInstances(), first );
+
+        first.destroy();
+        assert.notInclude( Saaslet.getInstances(), first );
+        assert.include( Saaslet.getInstances(), second );
+    });
+});
@@ -0,0 +1,98 @@
+describe('it sizes widgets fluid or fixed', function () {
+
+    var saaslet, element, observers, originalResizeObserver;
+
+    class FakeResizeObserver{
+        constructor( callback ) {
+            this.callback = callback;
+            this.observed = [];
+            this.disconnected = false;
+            observers.push( this );
+        }
+
+        observe( target ) {
+            this.observed.push( target );
+        }
+
+        disconnect() {
+            this.disconnected = true;
+        }
+    }
+
+    beforeEach(function () {
+        observers = [];
+        originalResizeObserver = window.ResizeObserver;
+        window.ResizeObserver = FakeResizeObserver;
+        saaslet = SaasletMockWidget.createSaaslet();
+        element = document.createElement( 'div' );
+        document.body.appendChild( element );
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+        element.remove();
+        window.ResizeObserver = originalResizeObserver;
+    });
+
+    it('spans the element and grows with the widget\'s content by default', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element );
+
+        assert.equal( widget.iFrame.style.width, '100%' );
+        assert.deepEqual( mock.received( 'viewport' ).map( viewport => [ viewport.sizing, viewport.maxHeight ] ), [ [ 'fluid', null ] ] );
+
+        mock.post( 'resize', { width: 300, height: 420 } );
+        assert.equal( widget.iFrame.style.height, '420px' );
+    });
+
+    it('limits the height to maxHeight', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element, null, null, { maxHeight: 400 } );
+
+        assert.equal( mock.received( 'viewport' )[ 0 ].maxHeight, 400 );
+
+        mock.post( 'resize', { width: 300, height: 420 } );
+        assert.equal( widget.iFrame.style.height, '400px' );
+        mock.post( 'resize', { width: 300, height: 380 } );
+        assert.equal( widget.iFrame.style.height, '380px' );
+    });
+
+    it('tells the widget when the width of the element changes', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element );
+        const observer = observers[ 0 ];
+        const resize = width => observer.callback([ { contentRect: { width: width, height: 100 } } ]);
+
+        assert.strictEqual( observer.observed[ 0 ], element );
+
+        mock.messages = [];
+        resize( 300 );
+        resize( 300 );
+        resize( 280 );
+        assert.equal( mock.received( 'viewport' ).length, 2 );
+
+        widget.destroy();
+        assert.isTrue( observer.disconnected );
+    });
+
+    it('uses a fixed size and ignores the widget\'s content size', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element, null, null, { sizing: 'fixed', width: 320, height: '50vh' } );
+
+        assert.equal( widget.iFrame.style.width, '320px' );
+        assert.equal( widget.iFrame.style.height, '50vh' );
+        assert.equal( mock.received( 'viewport' )[ 0 ].sizing, 'fixed' );
+        assert.lengthOf( observers, 0 );
+
+        mock.post( 'resize', { width: 300, height: 420 } );
+        assert.equal( widget.iFrame.style.height, '50vh' );
+    });
+
+    it('switches to a fixed size via setSize', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element );
+
+        mock.messages = [];
+        widget.setSize( 320, 480 );
+
+        assert.equal( widget.iFrame.style.width, '320px' );
+        assert.equal( widget.iFrame.style.height, '480px' );
+        assert.isTrue( observers[ 0 ].disconnected );
+        assert.deepEqual( mock.received( 'viewport' ).map( viewport => viewport.sizing ), [ 'fixed' ] );
+    });
+});
@@ -0,0 +1,72 @@
+describe('it themes widgets with named stylesheets', function () {
+
+    var saaslet, element;
+
+    const theme = { colors: { primary: '#0057ff', textMuted: '#777' }, radii: { md: '4px' } };
+    const themeCss = ':root{--saaslet-colors-primary:#0057ff;--saaslet-colors-text-muted:#777;--saaslet-radii-md:4px;}';
+
+    beforeEach(function () {
+        saaslet = SaasletMockWidget.createSaaslet();
+        element = document.createElement( 'div' );
+        document.body.appendChild( element );
+    });
+
+    afterEach(function () {
+        saaslet.destroy();
+        element.remove();
+    });
+
+    it('applies the theme to active widgets and before the css of new widgets', async function () {
+        const active = await SaasletMockWidget.createReadyWidget( saaslet, element );
+
+        await saaslet.setTheme( theme );
+        assert.deepEqual( active.mock.received( 'setCss' ), [ { id: 'saaslet-theme', css: themeCss } ] );
+
+        const created = await SaasletMockWidget.createReadyWidget( saaslet, element, null, 'body { color: red; }' );
+        assert.deepEqual( created.mock.received( 'setCss' ), [
+            { id: 'saaslet-theme', css: themeCss },
+            { id: 'saaslet-widget', css: 'body { color: red; }' }
+        ]);
+    });
+
+    it('replaces and removes the theme', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element );
+
+        await saaslet.setTheme( theme );
+        await saaslet.setTheme({ colors: { primary: '#000' } });
+        assert.deepEqual( widget.css, [ { id: 'saaslet-theme', css: ':root{--saaslet-colors-primary:#000;}' } ] );
+
+        await saaslet.setTheme( null );
+        assert.deepEqual( widget.css, [] );
+        assert.deepEqual( mock.received( 'removeCss' ), [ { id: 'saaslet-theme' } ] );
+
+        // removing a theme that isn't applied sends nothing
+        await saaslet.setTheme( null );
+        assert.equal( mock.received( 'removeCss' ).length, 1 );
+    });
+
+    it('replaces stylesheets by id and replays them in order', async function () {
+        const { widget, mock } = await SaasletMockWidget.createReadyWidget( saaslet, element );
+
+        await widget.setCss( 'body { color: red; }', { id: 'mode' } );
+        await widget.setCss( '.button { margin: 0; }' );
+        await widget.setCss( 'body { color: white; }', { id: 'mode' } );
+        await widget.removeCss( 'unknown' );
+
+        assert.deepEqual( widget.css.map( stylesheet => stylesheet.css ), [ 'body { color: white; }', '.button { margin: 0; }' ] );
+        assert.deepEqual( mock.received( 'removeCss' ), [] );
+
+        mock.messages = [];
+        const reloaded = widget.reload();
+        mock.ready();
+        await reloaded;
+
+        assert.deepEqual( mock.received( 'setCss' ), widget.css );
+    });
+
+    it('sends the protocol version to the widget', async function () {
+        const { widget } = await SaasletMockWidget.createReadyWidget( saaslet, element );
+
+        assert.equal( new URL( widget.url ).searchParams.get( 'protocol' ), '2' );
+    });
+});
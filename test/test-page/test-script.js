@@ -5,12 +5,12 @@
         '.saaslet-signup-login',
         {},
         null
-    );
+    ).catch( error => console.error( error ) );
     saaslet.createWidget( 
         'payment', 
         '.saaslet-payment',
         {},
         null
-    );
+    ).catch( error => console.error( error ) );
 })()
 